@@ -34,8 +34,13 @@ contract MyNFT is ERC721Enumerable, MessageClient {
     // Mapping to store additional metadata for each token
     mapping(uint256 => NFTMetadata) private _tokenMetadata;
 
-    constructor() ERC721("Cross Chain NFT", "CCNFT") {
-        MESSAGE_OWNER = msg.sender;
+    /**
+     * @param _messageOwner Address allowed to configure cross-chain messaging.
+     * Passed in rather than taken from msg.sender so that the contract can also
+     * be deployed through a CREATE2 factory.
+     */
+    constructor(address _messageOwner) ERC721("Cross Chain NFT", "CCNFT") {
+        MESSAGE_OWNER = _messageOwner;
         nextNftId = block.chainid * 10**4;
     }
 
@@ -88,7 +93,7 @@ contract MyNFT is ERC721Enumerable, MessageClient {
      * @param _sourceChainId Source chain ID
      * @param _data Encoded message data
      */
-    function _processMessage(uint _sourceChainId, uint /* _sourceMsgSender */, bytes calldata _data) internal virtual override {
+    function _processMessage(uint /* _txId */, uint _sourceChainId, bytes calldata _data) internal virtual override {
         (address _recipient, uint _nftId, NFTMetadata memory metadata) = abi.decode(_data, (address, uint, NFTMetadata));
         
         // Mint the NFT on this chain
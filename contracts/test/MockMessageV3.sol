@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: MIT
+pragma solidity =0.8.17;
+
+interface IMessageClient {
+    function messageProcess(uint _txId, uint _sourceChainId, address _sender, address _reference, uint _amount, bytes calldata _data) external;
+}
+
+/**
+ * @title MockMessageV3
+ * @dev Stand-in for the VIA message contract on local development chains.
+ * Messages sent through it are only recorded in a MessageSent event. A local
+ * relayer picks them up and hands them to the mock on the destination chain,
+ * which calls messageProcess on the receiving client as VIA would.
+ * Not for use on public networks: anyone can deliver a message.
+ */
+contract MockMessageV3 {
+    // Chain-local message counter, a message is identified by its source chain and txId
+    uint public nextTxId = 1;
+
+    // Messages already delivered on this chain, keyed by source chain and txId
+    mapping(bytes32 => bool) public delivered;
+
+    event MessageSent(uint indexed txId, address indexed sender, address indexed recipient, uint destChainId, bytes data, uint16 confirmations);
+    event MessageDelivered(uint indexed txId, uint indexed sourceChainId, address indexed recipient);
+
+    /**
+     * @dev Fee token MessageClient approves during configureClient. The mock
+     * is its own fee token and charges nothing.
+     */
+    function feeToken() external view returns (address) {
+        return address(this);
+    }
+
+    /**
+     * @dev Wrapped native token, not used by the mock
+     */
+    function weth() external pure returns (address) {
+        return address(0);
+    }
+
+    /**
+     * @dev Fee token approval, accepted and ignored
+     */
+    function approve(address, uint) external pure returns (bool) {
+        return true;
+    }
+
+    /**
+     * @dev Record an outgoing message for the relayer
+     * @param _to Client contract on the destination chain
+     * @param _chainId Destination chain ID
+     * @param _data Message payload
+     * @param _confirmations Confirmations requested by the client
+     * @return txId ID of the message on this chain
+     */
+    function sendMessage(address _to, uint _chainId, bytes calldata _data, uint16 _confirmations, bool) external returns (uint txId) {
+        txId = nextTxId++;
+        emit MessageSent(txId, msg.sender, _to, _chainId, _data, _confirmations);
+    }
+
+    /**
+     * @dev Deliver a message sent on another chain
+     * @param _txId ID of the message on the source chain
+     * @param _sourceChainId Source chain ID
+     * @param _sender Client contract that sent the message
+     * @param _recipient Client contract to deliver to
+     * @param _data Message payload
+     */
+    function deliverMessage(uint _txId, uint _sourceChainId, address _sender, address _recipient, bytes calldata _data) external {
+        bytes32 key = keccak256(abi.encode(_sourceChainId, _txId));
+        require(!delivered[key], "MockMessageV3: message already delivered");
+        delivered[key] = true;
+
+        IMessageClient(_recipient).messageProcess(_txId, _sourceChainId, _sender, address(0), 0, _data);
+
+        emit MessageDelivered(_txId, _sourceChainId, _recipient);
+    }
+}
@@ -0,0 +1,28 @@
+import { defineConfig, devices } from '@playwright/test';
+
+// Port of the Vite dev server started by the global setup
+const FRONTEND_PORT = Number(process.env.E2E_FRONTEND_PORT || 5100);
+
+// Browser end-to-end tests, see test/e2e/global-setup.js
+export default defineConfig({
+  testDir: './test/e2e',
+  testMatch: '**/*.spec.js',
+  globalSetup: './test/e2e/global-setup.js',
+  // The tests share the chains, so they run one at a time
+  workers: 1,
+  timeout: 120000,
+  reporter: process.env.CI ? 'list' : 'line',
+  use: {
+    baseURL: `http://127.0.0.1:${FRONTEND_PORT}`,
+    headless: true,
+    trace: 'retain-on-failure',
+    // Use an installed Chromium instead of the one from `npx playwright install chromium`
+    launchOptions: process.env.E2E_CHROMIUM_PATH ? { executablePath: process.env.E2E_CHROMIUM_PATH } : {}
+  },
+  projects: [
+    {
+      name: 'chromium',
+      use: { ...devices['Desktop Chrome'] }
+    }
+  ]
+});
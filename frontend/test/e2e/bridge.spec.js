@@ -0,0 +1,126 @@
+/**
+ * Browser end-to-end test of the bridge UI
+ * 
+ * Runs the app in headless Chromium with the mock wallet on the local chains
+ * brought up by global-setup.js, and bridges an NFT the way a user would:
+ * connect, mint, open BridgeModal, pick the destination, bridge, and wait for
+ * the local relayer to deliver the NFT.
+ * 
+ *   cd frontend && npm run test:e2e
+ */
+
+import { test, expect } from '@playwright/test';
+import { ethers } from 'ethers';
+import { installMockWallet } from './mock-wallet';
+
+const { account, chains } = JSON.parse(process.env.E2E_LOCAL_CHAINS);
+const [source, dest] = chains;
+
+// First token ID MyNFT hands out on the source chain
+const TOKEN_ID = String(BigInt(source.chainId) * 10n ** 4n);
+
+test.describe.configure({ mode: 'serial' });
+
+test.describe('bridge UI on local chains', () => {
+  let page;
+  
+  /**
+   * Card of the test NFT in the gallery
+   * 
+   * @returns {Object} Playwright locator
+   */
+  const nftCard = () => page.locator('.nft-card', {
+    has: page.getByRole('button', { name: `Bridge NFT #${TOKEN_ID} to another chain` })
+  });
+  
+  test.beforeAll(async ({ browser }) => {
+    page = await browser.newPage();
+    
+    // Chain logos and NFT images are hosted elsewhere, keep the test offline
+    await page.route(/^https:\/\//, route => route.abort());
+    
+    // A fresh wallet on the source chain, which has not added the destination chain yet
+    await page.addInitScript(installMockWallet, {
+      account,
+      chainId: source.chainId,
+      chains: { [source.chainId]: source.rpcUrl }
+    });
+  });
+  
+  test.afterAll(async () => {
+    await page.close();
+  });
+  
+  test('connects to the wallet when the app loads', async () => {
+    await page.goto('/');
+    
+    await expect(page.locator('.wallet-address')).toBeVisible();
+    await expect(page.locator('.network-name-display')).toHaveText(source.networkName);
+    await expect(page.getByRole('button', { name: 'Mint New NFT' })).toBeEnabled();
+    
+    const methods = await page.evaluate(() => window.mockWallet.requests.map(request => request.method));
+    expect(methods).toContain('eth_requestAccounts');
+  });
+  
+  test('mints an NFT on the current chain', async () => {
+    await page.getByRole('button', { name: 'Mint New NFT' }).click();
+    
+    await expect(nftCard()).toBeVisible();
+    await expect(nftCard().locator('.current-chain .nft-info-value')).toHaveText(String(source.chainId));
+    await expect(page.getByRole('button', { name: 'Mint New NFT' })).toBeEnabled();
+  });
+  
+  test('bridges the NFT from BridgeModal and waits for it on the destination chain', async () => {
+    await nftCard().getByRole('button', { name: /Bridge NFT/ }).click();
+    
+    const modal = page.locator('.bridge-modal');
+    await expect(modal).toBeVisible();
+    await expect(modal.locator('.pre-bridge')).toHaveText(`NFT ID: ${TOKEN_ID}`);
+    
+    await modal.locator('.network-cards-container .network-card', { hasText: dest.networkName }).click();
+    await expect(modal.locator('.network-cards-container .network-card.selected')).toContainText(dest.networkName);
+    
+    await modal.getByRole('button', { name: 'Bridge NFT', exact: true }).click();
+    await expect(modal.getByText('NFT burned on source chain')).toBeVisible();
+    
+    // The relayer delivers the message, then the modal finds the NFT on its next
+    // check of the destination chain, at least 10 seconds after the burn
+    await expect(modal.getByText('NFT bridge completed successfully!')).toBeVisible({ timeout: 60000 });
+  });
+  
+  test('shows the bridged NFT on the destination chain', async () => {
+    const destContract = new ethers.Contract(
+      dest.address,
+      ['function ownerOf(uint256) view returns (address)'],
+      new ethers.JsonRpcProvider(dest.rpcUrl)
+    );
+    expect(await destContract.ownerOf(TOKEN_ID)).toBe(account);
+    
+    // Closing the modal reloads the app, which lists the NFTs of every chain
+    await page.locator('.bridge-modal').getByRole('button', { name: 'Close', exact: true }).click();
+    
+    await expect(nftCard()).toBeVisible();
+    await expect(nftCard().locator('.current-chain .nft-info-value')).toHaveText(String(dest.chainId));
+    await expect(nftCard().locator('.origin-chain .nft-info-value')).toHaveText(String(source.chainId));
+  });
+  
+  test('adds the destination chain to the wallet to bridge the NFT back (error 4902)', async () => {
+    expect(await page.evaluate(id => window.mockWallet.knowsChain(id), dest.chainId)).toBe(false);
+    
+    await nftCard().getByRole('button', { name: /Bridge NFT/ }).click();
+    
+    await expect.poll(() => page.evaluate(() => window.mockWallet.chainId)).toBe(dest.chainId);
+    await expect(page.locator('.network-name-display')).toHaveText(dest.networkName);
+    
+    const requests = await page.evaluate(() => window.mockWallet.requests);
+    const added = requests.find(request => request.method === 'wallet_addEthereumChain');
+    expect(added.params[0]).toMatchObject({
+      chainId: `0x${dest.chainId.toString(16)}`,
+      chainName: dest.networkName,
+      rpcUrls: [dest.rpcUrl]
+    });
+    
+    const modal = page.locator('.bridge-modal');
+    await expect(modal.locator('.network-cards-container .network-card.selected')).toContainText(source.networkName);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Global Setup of the Browser Tests
+ * =================================
+ * 
+ * Brings up everything the bridge UI needs, offline:
+ * 
+ * 1. Starts the two chains of the "local" profile with the harness of the
+ *    script end-to-end tests in test/e2e/local-chains.js
+ * 2. Deploys MyNFT to both with scripts/deploy.js, which writes the frontend
+ *    config to a scratch file
+ * 3. Starts scripts/relayer.js to deliver the bridge messages
+ * 4. Starts the Vite dev server on the port of baseURL, reading that config
+ * 
+ * The chains are passed to the tests in E2E_LOCAL_CHAINS. The returned
+ * function stops everything again.
+ */
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createServer } from 'vite';
+import localChains from '../../../test/e2e/local-chains.js';
+
+const FRONTEND_DIR = path.resolve(__dirname, '../..');
+const ROOT_DIR = path.resolve(FRONTEND_DIR, '..');
+
+// Seconds the relayer waits before delivering, and between checks for messages
+const RELAY_DELAY = '1';
+const RELAY_INTERVAL = '1';
+
+/**
+ * Start the local relayer
+ * 
+ * @param {Object} env - Environment from startLocalChains
+ * @param {string} logFile - File to write the relayer output to
+ * @returns {Object} Child process
+ */
+function startRelayer(env, logFile) {
+  const log = fs.openSync(logFile, 'a');
+  return spawn(
+    process.execPath,
+    [path.join(ROOT_DIR, 'scripts/relayer.js'), '--delay', RELAY_DELAY, '--interval', RELAY_INTERVAL],
+    { cwd: ROOT_DIR, env, stdio: ['ignore', log, log] }
+  );
+}
+
+/**
+ * Stop a child process and wait for it to exit
+ * 
+ * @param {Object} child - Child process
+ * @returns {Promise<void>}
+ */
+function stopProcess(child) {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    child.once('exit', () => resolve());
+    child.kill('SIGTERM');
+  });
+}
+
+export default async function globalSetup(config) {
+  const local = await localChains.startLocalChains();
+  let relayer = null;
+  let server = null;
+  
+  const teardown = async () => {
+    if (server) {
+      await server.close();
+    }
+    if (relayer) {
+      await stopProcess(relayer);
+    }
+    await local.stop();
+  };
+  
+  try {
+    const deploy = await localChains.runScript('deploy.js', ['--no-mint'], local.env);
+    if (deploy.code !== 0) {
+      throw new Error(`deploy.js failed:\n${deploy.output}`);
+    }
+    
+    relayer = startRelayer(local.env, path.join(local.workDir, 'relayer.log'));
+    
+    // vite.config.js reads the deployments from FRONTEND_CONFIG_PATH
+    process.env.FRONTEND_CONFIG_PATH = local.env.FRONTEND_CONFIG_PATH;
+    const { baseURL } = config.projects[0].use;
+    server = await createServer({
+      root: FRONTEND_DIR,
+      configFile: path.join(FRONTEND_DIR, 'vite.config.js'),
+      logLevel: 'warn',
+      server: { port: Number(new URL(baseURL).port), strictPort: true }
+    });
+    await server.listen();
+    
+    const frontendConfig = JSON.parse(fs.readFileSync(local.env.FRONTEND_CONFIG_PATH, 'utf8'));
+    process.env.E2E_LOCAL_CHAINS = JSON.stringify({
+      account: local.deployer,
+      chains: local.chains.map(chain => ({
+        networkName: chain.networkName,
+        chainId: chain.chainId,
+        rpcUrl: chain.rpcUrl,
+        address: frontendConfig[chain.chainId].address
+      }))
+    });
+  } catch (error) {
+    await teardown();
+    throw error;
+  }
+  
+  return teardown;
+}
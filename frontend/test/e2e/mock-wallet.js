@@ -0,0 +1,149 @@
+/**
+ * Mock Wallet
+ * ===========
+ * 
+ * EIP-1193 provider that takes the place of MetaMask as window.ethereum in
+ * the browser tests. It is backed by local chains whose nodes hold unlocked
+ * accounts, as ganache, anvil and hardhat do: account and chain requests are
+ * answered by the wallet itself, everything else, transactions included, is
+ * forwarded to the RPC endpoint of the current chain.
+ * 
+ * Like MetaMask it only knows the chains it was set up with. Switching to any
+ * other chain fails with error 4902 until the page adds the chain with
+ * wallet_addEthereumChain, after which the wallet switches to it.
+ * 
+ * installMockWallet runs in the page, so it must not use anything from
+ * outside its own body:
+ * 
+ *   await page.addInitScript(installMockWallet, { account, chainId, chains: { [chainId]: rpcUrl } });
+ * 
+ * Tests reach the wallet as window.mockWallet to read the requests it received,
+ * reject the next request for a method, or change the connected accounts.
+ */
+
+/**
+ * Install the mock wallet as window.ethereum
+ * 
+ * @param {Object} options - Wallet setup
+ * @param {string} options.account - Unlocked account of the local chains
+ * @param {number} options.chainId - Chain the wallet starts on
+ * @param {Object} options.chains - Map of chain ID to RPC URL of the chains the wallet knows
+ */
+export function installMockWallet({ account, chainId, chains }) {
+  const rpcUrls = { ...chains };
+  const listeners = {};
+  const requests = [];
+  const rejections = new Set();
+  let currentChainId = Number(chainId);
+  let accounts = [account];
+  let nextRequestId = 1;
+  
+  const toHex = value => `0x${Number(value).toString(16)}`;
+  
+  const providerError = (code, message, data) => Object.assign(new Error(message), { code, data });
+  
+  const emit = (event, ...args) => {
+    (listeners[event] || []).slice().forEach(listener => listener(...args));
+  };
+  
+  const switchChain = newChainId => {
+    if (newChainId !== currentChainId) {
+      currentChainId = newChainId;
+      emit('chainChanged', toHex(newChainId));
+    }
+  };
+  
+  // Send a request to the node of the current chain
+  const forward = async (method, params) => {
+    const response = await fetch(rpcUrls[currentChainId], {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: nextRequestId++, method, params })
+    });
+    const payload = await response.json();
+    if (payload.error) {
+      // Wallets report the revert data as a hex string, ganache nests it in data.result
+      const data = typeof payload.error.data?.result === 'string' ? payload.error.data.result : payload.error.data;
+      throw providerError(payload.error.code, payload.error.message, data);
+    }
+    return payload.result;
+  };
+  
+  const ethereum = {
+    isMockWallet: true,
+    
+    async request({ method, params = [] }) {
+      requests.push({ method, params });
+      
+      if (rejections.delete(method)) {
+        throw providerError(4001, 'User rejected the request.');
+      }
+      
+      switch (method) {
+        case 'eth_requestAccounts':
+        case 'eth_accounts':
+          return accounts.slice();
+        case 'eth_chainId':
+          return toHex(currentChainId);
+        case 'net_version':
+          return String(currentChainId);
+        case 'wallet_switchEthereumChain': {
+          const requestedChainId = Number(params[0].chainId);
+          if (!rpcUrls[requestedChainId]) {
+            throw providerError(4902, `Unrecognized chain ID "${params[0].chainId}". Try adding the chain using wallet_addEthereumChain first.`);
+          }
+          switchChain(requestedChainId);
+          return null;
+        }
+        case 'wallet_addEthereumChain': {
+          const { chainId: addedChainId, rpcUrls: addedRpcUrls = [] } = params[0];
+          if (!addedRpcUrls[0]) {
+            throw providerError(-32602, 'Expected an array with at least one valid string HTTPS url \'rpcUrls\'');
+          }
+          rpcUrls[Number(addedChainId)] = addedRpcUrls[0];
+          switchChain(Number(addedChainId));
+          return null;
+        }
+        default:
+          return forward(method, params);
+      }
+    },
+    
+    on(event, listener) {
+      (listeners[event] = listeners[event] || []).push(listener);
+      return ethereum;
+    },
+    
+    removeListener(event, listener) {
+      listeners[event] = (listeners[event] || []).filter(existing => existing !== listener);
+      return ethereum;
+    },
+    
+    removeAllListeners(event) {
+      if (event) {
+        delete listeners[event];
+      } else {
+        Object.keys(listeners).forEach(key => delete listeners[key]);
+      }
+      return ethereum;
+    }
+  };
+  
+  window.ethereum = ethereum;
+  window.mockWallet = {
+    requests,
+    get chainId() {
+      return currentChainId;
+    },
+    knowsChain(id) {
+      return Boolean(rpcUrls[Number(id)]);
+    },
+    rejectNext(method) {
+      rejections.add(method);
+    },
+    setAccounts(newAccounts) {
+      accounts = newAccounts.slice();
+      emit('accountsChanged', accounts.slice());
+    }
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Mock NFT Contract
+ * =================
+ * 
+ * Stands in for the ethers contract the utilities get from getTokenContract.
+ * Views return what ethers returns for MyNFT: token IDs and the metadata
+ * fields as bigints, metadata as positional arrays. Transactions resolve to
+ * an object with a hash and a wait() that returns a receipt whose logs can be
+ * parsed with the real contract interface.
+ */
+
+import { ethers } from 'ethers';
+import { vi } from 'vitest';
+
+export const OWNER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+
+// Events the frontend parses from receipts
+const iface = new ethers.Interface([
+  'event NFTMinted(address indexed owner, uint256 tokenId)',
+  'event NFTBridged(address indexed owner, uint256 tokenId, uint256 destChainId, address recipient)'
+]);
+
+/**
+ * Create a token as MyNFT.mint would on a chain
+ * 
+ * @param {number} chainId - Chain the token was minted on
+ * @param {number} index - Index of the mint on that chain
+ * @returns {Object} Token with its metadata
+ */
+export function createToken(chainId, index = 0) {
+  const id = BigInt(chainId) * 10n ** 4n + BigInt(index);
+  return {
+    id,
+    name: `Cross Chain NFT #${id}`,
+    description: 'Cross-chain NFT that can be bridged between networks',
+    image: 'https://i.postimg.cc/FKkpPByb/cl-logo.png',
+    chainId: BigInt(chainId),
+    mintedAt: 1700000000n + BigInt(index)
+  };
+}
+
+/**
+ * Metadata of a token as the contract returns it
+ * 
+ * @param {Object} token - Token from createToken
+ * @returns {Array} name, description, image, chainId and mintedAt
+ */
+function toMetadata(token) {
+  return [token.name, token.description, token.image, token.chainId, token.mintedAt];
+}
+
+/**
+ * Create a transaction response that is mined in the next block
+ * 
+ * @param {Array<Object>} logs - Logs of the receipt
+ * @returns {Object} Transaction response
+ */
+function createTransaction(logs = []) {
+  const hash = ethers.hexlify(ethers.randomBytes(32));
+  return {
+    hash,
+    wait: vi.fn(async () => ({ hash, blockNumber: 1, status: 1, logs }))
+  };
+}
+
+/**
+ * Create a mock NFT contract
+ * 
+ * @param {Object} options - Contract state
+ * @param {Array<Object>} options.tokens - Tokens owned by the queried address
+ * @param {Array<bigint>} options.failingMetadata - Token IDs whose getTokenMetadata call fails
+ * @param {Error} options.error - Error every call rejects with, to simulate an unreachable RPC
+ * @param {number} options.chainId - Chain the contract is deployed on, for mint
+ * @returns {Object} Mock contract with vi.fn methods
+ */
+export function createMockContract({ tokens = [], failingMetadata = [], error = null, chainId = 1337 } = {}) {
+  const call = fn => vi.fn(async (...args) => {
+    if (error) {
+      throw error;
+    }
+    return fn(...args);
+  });
+  
+  let nextIndex = tokens.length;
+  
+  return {
+    interface: iface,
+    getTokensWithMetadata: call(() => [tokens.map(token => token.id), tokens.map(toMetadata)]),
+    getTokensByOwner: call(() => tokens.map(token => token.id)),
+    getTokenMetadata: call(tokenId => {
+      const token = tokens.find(candidate => candidate.id === BigInt(tokenId));
+      if (!token || failingMetadata.includes(token.id)) {
+        throw new Error('execution reverted: "MyNFT: token does not exist"');
+      }
+      return toMetadata(token);
+    }),
+    balanceOf: call(() => BigInt(tokens.length)),
+    mint: call(() => {
+      const token = createToken(chainId, nextIndex++);
+      return createTransaction([iface.encodeEventLog('NFTMinted', [OWNER, token.id])]);
+    }),
+    bridge: call((destChainId, recipient, nftId) => {
+      const token = tokens.find(candidate => candidate.id === BigInt(nftId));
+      if (!token) {
+        throw new Error('execution reverted: "MyNFT: caller is not the owner of the NFT"');
+      }
+      return createTransaction([iface.encodeEventLog('NFTBridged', [OWNER, token.id, destChainId, recipient])]);
+    })
+  };
+}
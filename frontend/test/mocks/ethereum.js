@@ -0,0 +1,40 @@
+/**
+ * Mock Injected Wallet
+ * ====================
+ * 
+ * A minimal window.ethereum for the wallet utilities: requests are answered
+ * from a table of handlers and events can be emitted by the test.
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * Create a mock EIP-1193 wallet
+ * 
+ * @param {Object} handlers - Map of RPC method to a function returning its result or throwing
+ * @returns {Object} Wallet with request, on, removeAllListeners and emit
+ */
+export function createMockEthereum(handlers = {}) {
+  const listeners = {};
+  
+  return {
+    request: vi.fn(async ({ method, params }) => {
+      if (!handlers[method]) {
+        throw Object.assign(new Error(`Unsupported method ${method}`), { code: 4200 });
+      }
+      return handlers[method](params);
+    }),
+    on: vi.fn((event, listener) => {
+      (listeners[event] = listeners[event] || []).push(listener);
+    }),
+    removeAllListeners: vi.fn(event => {
+      delete listeners[event];
+    }),
+    emit(event, ...args) {
+      (listeners[event] || []).forEach(listener => listener(...args));
+    },
+    listenerCount(event) {
+      return (listeners[event] || []).length;
+    }
+  };
+}
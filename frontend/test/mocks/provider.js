@@ -0,0 +1,46 @@
+/**
+ * Mock JSON-RPC Provider
+ * ======================
+ * 
+ * Replaces ethers.JsonRpcProvider in tests, so nothing connects to an RPC
+ * endpoint. Every instance is recorded, which lets tests check how often the
+ * utilities create a provider for a chain.
+ * 
+ *   vi.mock('ethers', async importOriginal => {
+ *     const { mockEthers } = await import('../mocks/provider');
+ *     return mockEthers(await importOriginal());
+ *   });
+ */
+
+export class MockJsonRpcProvider {
+  static instances = [];
+  
+  /**
+   * @param {string} url - RPC URL
+   */
+  constructor(url) {
+    this.url = url;
+    MockJsonRpcProvider.instances.push(this);
+  }
+  
+  /**
+   * Forget the providers created so far
+   */
+  static reset() {
+    MockJsonRpcProvider.instances = [];
+  }
+}
+
+/**
+ * Build the ethers module with MockJsonRpcProvider in place of JsonRpcProvider
+ * 
+ * @param {Object} actual - The real ethers module
+ * @returns {Object} Module to return from vi.mock
+ */
+export function mockEthers(actual) {
+  return {
+    ...actual,
+    JsonRpcProvider: MockJsonRpcProvider,
+    ethers: { ...actual.ethers, JsonRpcProvider: MockJsonRpcProvider }
+  };
+}
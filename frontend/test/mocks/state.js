@@ -0,0 +1,26 @@
+/**
+ * React State Setters
+ * ===================
+ * 
+ * The utilities report results through React state setters, called with an
+ * updater function. createState applies those updates to a plain value so
+ * tests can read the state the component would end up with.
+ */
+
+import { vi } from 'vitest';
+
+/**
+ * Create a state value and a setter for it
+ * 
+ * @param {*} initial - Initial value
+ * @returns {Object} The setter, a vi.fn, and the current value
+ */
+export function createState(initial = {}) {
+  const state = {
+    value: initial,
+    set: vi.fn(update => {
+      state.value = typeof update === 'function' ? update(state.value) : update;
+    })
+  };
+  return state;
+}
@@ -0,0 +1,181 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createMockContract, createToken, OWNER } from '../mocks/contract';
+import { createMockEthereum } from '../mocks/ethereum';
+import * as blockchain from '../../src/utils/blockchain';
+
+describe('blockchain', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+  
+  describe('networks', () => {
+    test('are keyed by network name with numeric chain IDs', () => {
+      expect(blockchain.getAllNetworks()).toEqual({
+        'local-1': { name: 'local-1', chainId: 1337, rpcUrl: 'http://127.0.0.1:8545', blockExplorer: '' },
+        'local-2': { name: 'local-2', chainId: 1338, rpcUrl: 'http://127.0.0.1:8546', blockExplorer: 'https://explorer.local-2.example' },
+        'avalanche-testnet': { name: 'avalanche-testnet', chainId: 43113, rpcUrl: '', blockExplorer: '' }
+      });
+    });
+    
+    test('getNetworkByChainId normalises the chain ID', () => {
+      const expected = expect.objectContaining({ name: 'local-2', chainId: 1338, key: 'local-2' });
+      
+      expect(blockchain.getNetworkByChainId(1338)).toEqual(expected);
+      expect(blockchain.getNetworkByChainId('1338')).toEqual(expected);
+      expect(blockchain.getNetworkByChainId('0x53a')).toEqual(expected);
+      expect(blockchain.getNetworkByChainId(1338n)).toEqual(expected);
+    });
+    
+    test('getNetworkByChainId returns null for unknown or missing chain IDs', () => {
+      expect(blockchain.getNetworkByChainId(1)).toBeNull();
+      expect(blockchain.getNetworkByChainId(null)).toBeNull();
+      expect(blockchain.getNetworkByChainId(undefined)).toBeNull();
+    });
+    
+    test('getAllNetworks returns a copy', () => {
+      delete blockchain.getAllNetworks()['local-1'];
+      expect(blockchain.getAllNetworks()['local-1']).toBeDefined();
+    });
+  });
+  
+  describe('wallet', () => {
+    test('getChainId converts the hex chain ID of the wallet', async () => {
+      vi.stubGlobal('window', { ethereum: createMockEthereum({ eth_chainId: () => '0x539' }) });
+      await expect(blockchain.getChainId()).resolves.toBe(1337);
+    });
+    
+    test('getChainId returns null without a wallet or when the request fails', async () => {
+      vi.stubGlobal('window', {});
+      await expect(blockchain.getChainId()).resolves.toBeNull();
+      
+      vi.stubGlobal('window', { ethereum: createMockEthereum() });
+      await expect(blockchain.getChainId()).resolves.toBeNull();
+    });
+    
+    test('connectWallet requires a wallet', async () => {
+      vi.stubGlobal('window', {});
+      await expect(blockchain.connectWallet()).rejects.toThrow(/No Ethereum wallet found/);
+    });
+    
+    test('connectWallet reports a rejected connection', async () => {
+      const ethereum = createMockEthereum({
+        eth_requestAccounts: () => {
+          throw Object.assign(new Error('User rejected the request.'), { code: 4001 });
+        }
+      });
+      vi.stubGlobal('window', { ethereum });
+      
+      await expect(blockchain.connectWallet()).rejects.toThrow('Failed to connect wallet: User rejected the request.');
+    });
+    
+    test('switchNetwork asks the wallet to switch to the chain of the network', async () => {
+      const ethereum = createMockEthereum({ wallet_switchEthereumChain: () => null });
+      vi.stubGlobal('window', { ethereum });
+      
+      await blockchain.switchNetwork('local-2');
+      
+      expect(ethereum.request).toHaveBeenCalledWith({ method: 'wallet_switchEthereumChain', params: [{ chainId: '0x53a' }] });
+    });
+    
+    test('switchNetwork adds a chain the wallet does not know (error 4902)', async () => {
+      const ethereum = createMockEthereum({
+        wallet_switchEthereumChain: () => {
+          throw Object.assign(new Error('Unrecognized chain ID'), { code: 4902 });
+        },
+        wallet_addEthereumChain: () => null
+      });
+      vi.stubGlobal('window', { ethereum });
+      
+      await blockchain.switchNetwork('local-2');
+      
+      expect(ethereum.request).toHaveBeenLastCalledWith({
+        method: 'wallet_addEthereumChain',
+        params: [{
+          chainId: '0x53a',
+          chainName: 'local-2',
+          nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
+          rpcUrls: ['http://127.0.0.1:8546'],
+          blockExplorerUrls: ['https://explorer.local-2.example']
+        }]
+      });
+    });
+    
+    test('switchNetwork reports other wallet errors and unknown networks', async () => {
+      const ethereum = createMockEthereum({
+        wallet_switchEthereumChain: () => {
+          throw Object.assign(new Error('User rejected the request.'), { code: 4001 });
+        }
+      });
+      vi.stubGlobal('window', { ethereum });
+      
+      await expect(blockchain.switchNetwork('local-1')).rejects.toThrow('Failed to switch network: User rejected the request.');
+      await expect(blockchain.switchNetwork('mainnet')).rejects.toThrow('Network mainnet not found in deployments');
+      expect(ethereum.request).not.toHaveBeenCalledWith(expect.objectContaining({ method: 'wallet_addEthereumChain' }));
+    });
+    
+    test('listenForWalletEvents forwards account and chain changes once', () => {
+      const ethereum = createMockEthereum();
+      vi.stubGlobal('window', { ethereum });
+      const callback = vi.fn();
+      
+      blockchain.listenForWalletEvents(callback);
+      blockchain.listenForWalletEvents(callback);
+      ethereum.emit('accountsChanged', [OWNER]);
+      ethereum.emit('chainChanged', '0x53a');
+      
+      expect(ethereum.listenerCount('accountsChanged')).toBe(1);
+      expect(callback.mock.calls).toEqual([
+        [{ type: 'accountsChanged', accounts: [OWNER] }],
+        [{ type: 'chainChanged', chainId: 1338 }]
+      ]);
+    });
+  });
+  
+  describe('contract calls', () => {
+    test('getTokenContract uses the frontend ABI', () => {
+      const contract = blockchain.getTokenContract('0x5FbDB2315678afecb367f032d93F642f64180aa3', null);
+      
+      expect(contract.target).toBe('0x5FbDB2315678afecb367f032d93F642f64180aa3');
+      expect(contract.interface.getFunction('getTokensWithMetadata')).not.toBeNull();
+      expect(contract.interface.getFunction('bridge')).not.toBeNull();
+    });
+    
+    test('getNFTCount converts the balance to a number', async () => {
+      const contract = createMockContract({ tokens: [createToken(1337, 0), createToken(1337, 1)] });
+      await expect(blockchain.getNFTCount(contract, OWNER)).resolves.toBe(2);
+    });
+    
+    test('mintNFT returns the ID from the NFTMinted event', async () => {
+      const contract = createMockContract({ chainId: 1337 });
+      const { receipt, nftId } = await blockchain.mintNFT(contract);
+      
+      expect(receipt.blockNumber).toBe(1);
+      expect(nftId).toBe('13370000');
+    });
+    
+    test('bridgeNFT sends the bridge transaction and waits for it', async () => {
+      const token = createToken(1337, 0);
+      const contract = createMockContract({ tokens: [token] });
+      const recipient = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+      
+      const receipt = await blockchain.bridgeNFT(contract, 1338, recipient, token.id.toString());
+      
+      expect(contract.bridge).toHaveBeenCalledWith(1338, recipient, '13370000');
+      expect(receipt.logs).toHaveLength(1);
+    });
+    
+    test('bridgeNFT passes on the revert of a bridge for someone else\'s NFT', async () => {
+      const contract = createMockContract();
+      
+      await expect(blockchain.bridgeNFT(contract, 1338, OWNER, '13370000')).rejects.toThrow(/caller is not the owner/);
+      expect(console.error).toHaveBeenCalledWith('You do not own this NFT');
+    });
+  });
+});
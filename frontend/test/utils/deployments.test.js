@@ -0,0 +1,75 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+
+describe('deployments', () => {
+  let deployments;
+  
+  beforeEach(async () => {
+    vi.resetModules();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    deployments = await import('../../src/utils/deployments');
+  });
+  
+  afterEach(() => {
+    vi.doUnmock('../fixtures/deployments.json');
+    vi.restoreAllMocks();
+  });
+  
+  describe('with deployments', () => {
+    test('loads every chain of deployments.json', () => {
+      expect(deployments.deploymentsExist()).toBe(true);
+      expect(deployments.getNetworkCount()).toBe(3);
+      expect(deployments.getDeploymentErrorMessage()).toBeNull();
+      expect(Object.keys(deployments.getAllDeployments())).toEqual(['1337', '1338', '43113']);
+    });
+    
+    test('getDeploymentByChainId accepts numbers and strings', () => {
+      const deployment = deployments.getDeploymentByChainId(1338);
+      
+      expect(deployment.address).toBe('0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512');
+      expect(deployment.network).toBe('local-2');
+      expect(deployments.getDeploymentByChainId('1338')).toBe(deployment);
+      expect(deployments.getDeploymentByChainId(1338n)).toBe(deployment);
+    });
+    
+    test('getDeploymentByChainId returns null for an unknown chain', () => {
+      expect(deployments.getDeploymentByChainId(1)).toBeNull();
+      expect(console.warn).toHaveBeenCalledWith('No deployment found for chain ID 1');
+    });
+    
+    test('isChainSupported follows getDeploymentByChainId', () => {
+      expect(deployments.isChainSupported(43113)).toBe(true);
+      expect(deployments.isChainSupported('1337')).toBe(true);
+      expect(deployments.isChainSupported(84532)).toBe(false);
+    });
+    
+    test('getAllDeployments returns a copy', () => {
+      const all = deployments.getAllDeployments();
+      delete all['1337'];
+      
+      expect(deployments.getNetworkCount()).toBe(3);
+      expect(deployments.getDeploymentByChainId(1337)).not.toBeNull();
+    });
+    
+    test('the default export bundles the same functions', () => {
+      expect(deployments.default.getDeploymentByChainId).toBe(deployments.getDeploymentByChainId);
+      expect(deployments.default.isChainSupported(1337)).toBe(true);
+    });
+  });
+  
+  describe('without deployments', () => {
+    beforeEach(async () => {
+      vi.resetModules();
+      // src/config/deployments.json resolves to the fixture in tests
+      vi.doMock('../fixtures/deployments.json', () => ({ default: {} }));
+      deployments = await import('../../src/utils/deployments');
+    });
+    
+    test('reports that there is nothing deployed', () => {
+      expect(deployments.deploymentsExist()).toBe(false);
+      expect(deployments.getNetworkCount()).toBe(0);
+      expect(deployments.getDeploymentErrorMessage()).toBe('Deployments file exists but contains no deployments');
+      expect(deployments.isChainSupported(1337)).toBe(false);
+    });
+  });
+});
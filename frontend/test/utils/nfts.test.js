@@ -0,0 +1,309 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createMockContract, createToken, OWNER } from '../mocks/contract';
+import { MockJsonRpcProvider } from '../mocks/provider';
+import { createState } from '../mocks/state';
+
+vi.mock('ethers', async importOriginal => {
+  const { mockEthers } = await import('../mocks/provider');
+  return mockEthers(await importOriginal());
+});
+
+// Chains of test/fixtures/deployments.json
+const CURRENT_CHAIN = 1337;
+const OTHER_CHAIN = 1338;
+const CHAIN_WITHOUT_RPC = 43113;
+
+describe('nfts', () => {
+  let nfts;
+  let getTokenContract;
+  let contract;
+  let nftState;
+  let loadingState;
+  let fetchTimeState;
+  let providerCacheState;
+  
+  /**
+   * Fetch the NFTs of OWNER on a chain other than the current one
+   * 
+   * @param {number|string} chainId - Chain to fetch from
+   * @param {Object} lastFetchTime - Time of the last fetch per chain
+   * @returns {Promise<void>}
+   */
+  const fetchFromChain = (chainId, lastFetchTime = fetchTimeState.value) => nfts.fetchNFTsForChain(
+    OWNER,
+    chainId,
+    CURRENT_CHAIN,
+    lastFetchTime,
+    fetchTimeState.set,
+    nftState.set,
+    loadingState.set,
+    providerCacheState.set
+  );
+  
+  beforeEach(async () => {
+    // nfts.js keeps its provider cache at module level, start each test without one
+    vi.resetModules();
+    MockJsonRpcProvider.reset();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    
+    const blockchain = await import('../../src/utils/blockchain');
+    nfts = await import('../../src/utils/nfts');
+    
+    contract = createMockContract({ tokens: [createToken(OTHER_CHAIN, 0), createToken(CURRENT_CHAIN, 3)] });
+    getTokenContract = vi.fn(() => contract);
+    nfts.setupDependencies(getTokenContract, blockchain.getNetworkByChainId);
+    
+    nftState = createState();
+    loadingState = createState();
+    fetchTimeState = createState();
+    providerCacheState = createState();
+  });
+  
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+  
+  describe('fetchNFTsForCurrentChain', () => {
+    test('formats the tokens and metadata of getTokensWithMetadata', async () => {
+      await nfts.fetchNFTsForCurrentChain(contract, OWNER, CURRENT_CHAIN, nftState.set, loadingState.set);
+      
+      expect(contract.getTokensWithMetadata).toHaveBeenCalledWith(OWNER);
+      expect(nftState.value).toEqual({
+        [CURRENT_CHAIN]: [
+          {
+            id: '13380000',
+            name: 'Cross Chain NFT #13380000',
+            description: 'Cross-chain NFT that can be bridged between networks',
+            image: 'https://i.postimg.cc/FKkpPByb/cl-logo.png',
+            chainId: OTHER_CHAIN,
+            mintedAt: 1700000000,
+            originChain: OTHER_CHAIN
+          },
+          expect.objectContaining({ id: '13370003', chainId: CURRENT_CHAIN, mintedAt: 1700000003 })
+        ]
+      });
+    });
+    
+    test('sets the loading state while fetching', async () => {
+      let loadingDuringFetch;
+      contract.getTokensWithMetadata.mockImplementation(async () => {
+        loadingDuringFetch = loadingState.value[CURRENT_CHAIN];
+        return [[], []];
+      });
+      
+      await nfts.fetchNFTsForCurrentChain(contract, OWNER, CURRENT_CHAIN, nftState.set, loadingState.set);
+      
+      expect(loadingDuringFetch).toBe(true);
+      expect(loadingState.value).toEqual({ [CURRENT_CHAIN]: false });
+    });
+    
+    test('falls back to an empty array when the contract call fails', async () => {
+      nftState.value = { [CURRENT_CHAIN]: [{ id: 'stale' }], [OTHER_CHAIN]: [{ id: 'kept' }] };
+      const failing = createMockContract({ error: new Error('could not coalesce error') });
+      
+      await nfts.fetchNFTsForCurrentChain(failing, OWNER, CURRENT_CHAIN, nftState.set, loadingState.set);
+      
+      expect(nftState.value).toEqual({ [CURRENT_CHAIN]: [], [OTHER_CHAIN]: [{ id: 'kept' }] });
+      expect(loadingState.value).toEqual({ [CURRENT_CHAIN]: false });
+    });
+    
+    test('does nothing without a contract, address or chain', async () => {
+      await nfts.fetchNFTsForCurrentChain(null, OWNER, CURRENT_CHAIN, nftState.set, loadingState.set);
+      await nfts.fetchNFTsForCurrentChain(contract, '', CURRENT_CHAIN, nftState.set, loadingState.set);
+      await nfts.fetchNFTsForCurrentChain(contract, OWNER, null, nftState.set, loadingState.set);
+      
+      expect(contract.getTokensWithMetadata).not.toHaveBeenCalled();
+      expect(nftState.set).not.toHaveBeenCalled();
+      expect(loadingState.set).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('fetchNFTsForChain', () => {
+    test('reads the tokens through a provider for the RPC URL of the chain', async () => {
+      await fetchFromChain(OTHER_CHAIN);
+      
+      expect(MockJsonRpcProvider.instances.map(provider => provider.url)).toEqual(['http://127.0.0.1:8546']);
+      expect(getTokenContract).toHaveBeenCalledWith('0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512', MockJsonRpcProvider.instances[0]);
+      expect(contract.getTokensByOwner).toHaveBeenCalledWith(OWNER);
+      expect(nftState.value[OTHER_CHAIN]).toEqual([
+        {
+          id: '13380000',
+          name: 'Cross Chain NFT #13380000',
+          description: 'Cross-chain NFT that can be bridged between networks',
+          image: 'https://i.postimg.cc/FKkpPByb/cl-logo.png',
+          chainId: OTHER_CHAIN,
+          mintedAt: 1700000000,
+          originChain: OTHER_CHAIN
+        },
+        expect.objectContaining({ id: '13370003', originChain: CURRENT_CHAIN })
+      ]);
+      expect(loadingState.value).toEqual({ [OTHER_CHAIN]: false });
+    });
+    
+    test('skips the current chain', async () => {
+      await nfts.fetchNFTsForChain(
+        OWNER, String(CURRENT_CHAIN), CURRENT_CHAIN, {}, fetchTimeState.set, nftState.set, loadingState.set, providerCacheState.set
+      );
+      
+      expect(getTokenContract).not.toHaveBeenCalled();
+      expect(nftState.set).not.toHaveBeenCalled();
+    });
+    
+    test('skips a chain fetched less than 10 seconds ago', async () => {
+      vi.useFakeTimers({ now: 1_000_000 });
+      
+      await fetchFromChain(OTHER_CHAIN);
+      expect(fetchTimeState.value).toEqual({ [OTHER_CHAIN]: 1_000_000 });
+      expect(contract.getTokensByOwner).toHaveBeenCalledTimes(1);
+      
+      vi.advanceTimersByTime(9_999);
+      await fetchFromChain(OTHER_CHAIN);
+      expect(contract.getTokensByOwner).toHaveBeenCalledTimes(1);
+      
+      vi.advanceTimersByTime(1);
+      await fetchFromChain(OTHER_CHAIN);
+      expect(contract.getTokensByOwner).toHaveBeenCalledTimes(2);
+      expect(fetchTimeState.value).toEqual({ [OTHER_CHAIN]: 1_010_000 });
+    });
+    
+    test('does not record a fetch time when the fetch fails, so it is retried', async () => {
+      vi.useFakeTimers({ now: 1_000_000 });
+      contract.getTokensByOwner.mockRejectedValueOnce(new Error('timeout'));
+      
+      await fetchFromChain(OTHER_CHAIN);
+      expect(fetchTimeState.value).toEqual({});
+      
+      await fetchFromChain(OTHER_CHAIN);
+      expect(contract.getTokensByOwner).toHaveBeenCalledTimes(2);
+      expect(nftState.value[OTHER_CHAIN]).toHaveLength(2);
+    });
+    
+    test('records the fetch time when the address has no tokens', async () => {
+      vi.useFakeTimers({ now: 1_000_000 });
+      contract = createMockContract();
+      getTokenContract.mockReturnValue(contract);
+      
+      await fetchFromChain(OTHER_CHAIN);
+      
+      expect(nftState.value).toEqual({ [OTHER_CHAIN]: [] });
+      expect(fetchTimeState.value).toEqual({ [OTHER_CHAIN]: 1_000_000 });
+      expect(contract.getTokenMetadata).not.toHaveBeenCalled();
+    });
+    
+    test('reuses the cached provider of a chain', async () => {
+      await fetchFromChain(OTHER_CHAIN, {});
+      await fetchFromChain(OTHER_CHAIN, {});
+      
+      expect(MockJsonRpcProvider.instances).toHaveLength(1);
+      expect(getTokenContract).toHaveBeenCalledTimes(2);
+      expect(getTokenContract.mock.calls[1][1]).toBe(MockJsonRpcProvider.instances[0]);
+      expect(providerCacheState.value).toEqual({ [OTHER_CHAIN]: MockJsonRpcProvider.instances[0] });
+    });
+    
+    test('leaves out tokens whose metadata cannot be read', async () => {
+      const tokens = [createToken(OTHER_CHAIN, 0), createToken(OTHER_CHAIN, 1), createToken(OTHER_CHAIN, 2)];
+      contract = createMockContract({ tokens, failingMetadata: [tokens[1].id] });
+      getTokenContract.mockReturnValue(contract);
+      
+      await fetchFromChain(OTHER_CHAIN);
+      
+      expect(contract.getTokenMetadata).toHaveBeenCalledTimes(3);
+      expect(nftState.value[OTHER_CHAIN].map(nft => nft.id)).toEqual(['13380000', '13380002']);
+    });
+    
+    test('falls back to an empty array for a chain without an RPC URL', async () => {
+      nftState.value = { [CHAIN_WITHOUT_RPC]: [{ id: 'stale' }] };
+      
+      await fetchFromChain(CHAIN_WITHOUT_RPC);
+      
+      expect(MockJsonRpcProvider.instances).toHaveLength(0);
+      expect(nftState.value).toEqual({ [CHAIN_WITHOUT_RPC]: [] });
+      expect(loadingState.value).toEqual({ [CHAIN_WITHOUT_RPC]: false });
+    });
+    
+    test('does nothing for a chain without a deployment', async () => {
+      await fetchFromChain(999);
+      
+      expect(loadingState.set).not.toHaveBeenCalled();
+      expect(nftState.set).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('refreshNFTs', () => {
+    test('fetches the current chain and the destination chain', () => {
+      const fetchCurrent = vi.fn();
+      const fetchChain = vi.fn();
+      
+      nfts.refreshNFTs(fetchCurrent, fetchChain, 'local-2', { 'local-2': { chainId: OTHER_CHAIN } });
+      
+      expect(fetchCurrent).toHaveBeenCalledTimes(1);
+      expect(fetchChain).toHaveBeenCalledWith(OTHER_CHAIN);
+    });
+    
+    test('fetches only the current chain without a known destination', () => {
+      const fetchCurrent = vi.fn();
+      const fetchChain = vi.fn();
+      
+      nfts.refreshNFTs(fetchCurrent, fetchChain, '', {});
+      nfts.refreshNFTs(fetchCurrent, fetchChain, 'unknown', {});
+      
+      expect(fetchCurrent).toHaveBeenCalledTimes(2);
+      expect(fetchChain).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('lookups', () => {
+    const state = {
+      [CURRENT_CHAIN]: [{ id: '13370000' }, { id: '13370001' }],
+      [OTHER_CHAIN]: []
+    };
+    
+    test('getNFTCountForChain counts the NFTs of a chain', () => {
+      expect(nfts.getNFTCountForChain(state, CURRENT_CHAIN)).toBe(2);
+      expect(nfts.getNFTCountForChain(state, String(CURRENT_CHAIN))).toBe(2);
+      expect(nfts.getNFTCountForChain(state, OTHER_CHAIN)).toBe(0);
+      expect(nfts.getNFTCountForChain(state, 999)).toBe(0);
+      expect(nfts.getNFTCountForChain(null, CURRENT_CHAIN)).toBe(0);
+    });
+    
+    test('getNFTById finds an NFT by its string ID', () => {
+      expect(nfts.getNFTById(state, CURRENT_CHAIN, '13370001')).toEqual({ id: '13370001' });
+      expect(nfts.getNFTById(state, CURRENT_CHAIN, '13370002')).toBeNull();
+      expect(nfts.getNFTById(state, OTHER_CHAIN, '13370001')).toBeNull();
+      expect(nfts.getNFTById(state, CURRENT_CHAIN, null)).toBeNull();
+    });
+  });
+  
+  describe('contract readers', () => {
+    test('getNFTMetadata converts the metadata fields to numbers', async () => {
+      await expect(nfts.getNFTMetadata(contract, 13380000n)).resolves.toEqual({
+        name: 'Cross Chain NFT #13380000',
+        description: 'Cross-chain NFT that can be bridged between networks',
+        image: 'https://i.postimg.cc/FKkpPByb/cl-logo.png',
+        chainId: OTHER_CHAIN,
+        mintedAt: 1700000000
+      });
+    });
+    
+    test('getNFTMetadata reports a failed call', async () => {
+      await expect(nfts.getNFTMetadata(contract, 1n)).rejects.toThrow(/^Failed to get NFT metadata: .*token does not exist/);
+    });
+    
+    test('getNFTsWithMetadata formats every token', async () => {
+      const result = await nfts.getNFTsWithMetadata(contract, OWNER);
+      
+      expect(result.map(nft => nft.id)).toEqual(['13380000', '13370003']);
+      expect(result[1]).toEqual(expect.objectContaining({ chainId: CURRENT_CHAIN, mintedAt: 1700000003 }));
+    });
+    
+    test('getNFTsByOwner returns the token IDs as strings', async () => {
+      await expect(nfts.getNFTsByOwner(contract, OWNER)).resolves.toEqual(['13380000', '13370003']);
+      
+      const failing = createMockContract({ error: new Error('network error') });
+      await expect(nfts.getNFTsByOwner(failing, OWNER)).rejects.toThrow('Failed to get NFTs: network error');
+    });
+  });
+});
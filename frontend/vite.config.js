@@ -1,11 +1,33 @@
-import { defineConfig } from 'vite';
+import { defineConfig, searchForWorkspaceRoot } from 'vite';
 import react from '@vitejs/plugin-react';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+
+const require = createRequire(import.meta.url);
+
+// Imports of src/config/deployments.json
+const DEPLOYMENTS_IMPORT = /^\.\.\/config\/deployments\.json$/;
+
+// deploy.js writes the deployments of each profile to a file of its own, and
+// to FRONTEND_CONFIG_PATH when it is set, e.g. to a scratch directory in the
+// browser tests. With NFT_PROFILE or FRONTEND_CONFIG_PATH set the app reads
+// that file, found the same way through network.config.js.
+const deploymentsPath = (process.env.NFT_PROFILE || process.env.FRONTEND_CONFIG_PATH)
+  ? require('../network.config.js').getFrontendConfigPath()
+  : null;
 
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: deploymentsPath ? [{ find: DEPLOYMENTS_IMPORT, replacement: deploymentsPath }] : []
+  },
   server: {
-    port: 5000
+    port: 5000,
+    fs: {
+      allow: [searchForWorkspaceRoot(process.cwd()), ...(deploymentsPath ? [path.dirname(deploymentsPath)] : [])]
+    }
   },
   build: {
     outDir: 'build'
@@ -16,5 +38,18 @@ export default defineConfig({
         '.js': 'jsx'
       }
     }
+  },
+  test: {
+    // Browser tests in test/e2e are *.spec.js files run by Playwright
+    include: ['test/**/*.test.js'],
+    environment: 'node',
+    // Tests run against a fixed set of deployments instead of the one
+    // written by deploy.js, which may not exist
+    alias: [
+      {
+        find: DEPLOYMENTS_IMPORT,
+        replacement: fileURLToPath(new URL('./test/fixtures/deployments.json', import.meta.url))
+      }
+    ]
   }
 });
@@ -1,7 +1,15 @@
 require('dotenv').config();
+const path = require('path');
 
-// Network configurations - can be extended with more networks as needed
-const networks = {
+// Profile used when neither --profile nor NFT_PROFILE is given
+const DEFAULT_PROFILE = 'testnet';
+
+// Block confirmations VIA waits for on the source chain before relaying a message,
+// used for any route that does not set its own
+const DEFAULT_CONFIRMATIONS = 1;
+
+// Testnet configurations - can be extended with more networks as needed
+const testnetNetworks = {
   'avalanche-testnet': {
     name: 'avalanche-testnet',
     chainId: 43113,
@@ -11,6 +19,17 @@ const networks = {
       name: 'AVAX',
       symbol: 'AVAX',
       decimals: 18
+    },
+    // Confirmations for messages sent from this network, with optional
+    // per-destination overrides keyed by network name
+    confirmations: 1,
+    confirmationOverrides: {},
+    // EIP-1559 fees in gwei (null uses the node's estimate) and the factor
+    // applied to estimated gas limits
+    fees: {
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      gasLimitMultiplier: 1.2
     }
   },
   'base-testnet': {
@@ -22,6 +41,13 @@ const networks = {
       name: 'ETH',
       symbol: 'ETH',
       decimals: 18
+    },
+    confirmations: 1,
+    confirmationOverrides: {},
+    fees: {
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      gasLimitMultiplier: 1.2
     }
   }
   // Add more networks here as needed
@@ -35,10 +61,193 @@ const networks = {
   //     name: 'MATIC',
   //     symbol: 'MATIC',
   //     decimals: 18
-  //   }
+  //   },
+  //   confirmations: 5,
+  //   confirmationOverrides: {
+  //     'base-testnet': 10
+  //   },
+  //   fees: {
+  //     maxFeePerGas: 100,
+  //     maxPriorityFeePerGas: 30,
+  //     gasLimitMultiplier: 1.2
+  //   },
+  //   // Only needed for `deploy.js --create2` on chains without the standard
+  //   // deterministic deployment proxy
+  //   create2Factory: '0x...'
+  // }
+};
+
+// Mainnet configurations
+const mainnetNetworks = {
+  avalanche: {
+    name: 'avalanche',
+    chainId: 43114,
+    rpcUrl: process.env.AVALANCHE_RPC || 'https://api.avax.network/ext/bc/C/rpc',
+    blockExplorer: 'https://snowtrace.io',
+    nativeCurrency: {
+      name: 'AVAX',
+      symbol: 'AVAX',
+      decimals: 18
+    },
+    confirmations: 1,
+    confirmationOverrides: {},
+    fees: {
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      gasLimitMultiplier: 1.2
+    }
+  },
+  base: {
+    name: 'base',
+    chainId: 8453,
+    rpcUrl: process.env.BASE_RPC || 'https://mainnet.base.org',
+    blockExplorer: 'https://basescan.org',
+    nativeCurrency: {
+      name: 'ETH',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    confirmations: 5,
+    confirmationOverrides: {},
+    fees: {
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      gasLimitMultiplier: 1.2
+    }
+  }
+};
+
+// Local development chains, e.g. the two chains started by the end-to-end
+// harness. They carry no VIA message contract of their own: a mock one is
+// deployed on them and registered through chainRegistryOverrides or the local
+// override file below.
+const localNetworks = {
+  'local-1': {
+    name: 'local-1',
+    chainId: 1337,
+    rpcUrl: process.env.LOCAL_1_RPC || 'http://127.0.0.1:8545',
+    blockExplorer: '',
+    nativeCurrency: {
+      name: 'ETH',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    confirmations: 1,
+    confirmationOverrides: {},
+    fees: {
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      gasLimitMultiplier: 1.2
+    }
+  },
+  'local-2': {
+    name: 'local-2',
+    chainId: 1338,
+    rpcUrl: process.env.LOCAL_2_RPC || 'http://127.0.0.1:8546',
+    blockExplorer: '',
+    nativeCurrency: {
+      name: 'ETH',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    confirmations: 1,
+    confirmationOverrides: {},
+    fees: {
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      gasLimitMultiplier: 1.2
+    }
+  }
+};
+
+// Chain registry overrides, keyed by chain ID. deploy.js takes the message
+// contract, explorer and display name of each chain from @vialabs-io/npm-registry;
+// values set here replace the registry's, so chains the registry does not know
+// yet (local devnets, new testnets) can be deployed to. A local JSON file with
+// the same layout (CHAIN_REGISTRY_FILE, default chain-registry.local.json) is
+// applied on top of these.
+const chainRegistryOverrides = {
+  // Example for a local devnet running a VIA message contract:
+  // 31337: {
+  //   name: 'Local Devnet',
+  //   message: '0x...',
+  //   explorer: ''
   // }
 };
 
+// Deployment profiles. Each profile has its own set of networks, its own
+// deployments directory (relative to the project root) and its own frontend
+// config file (in frontend/src/config, deployments.<profile>.json unless
+// `frontendConfig` names it), so the same chain can host separate testnet and
+// staging deployments. Profiles marked `mainnet` make deploy.js and bridge.js
+// ask for a typed confirmation before sending.
+// DEPLOYMENTS_DIR and FRONTEND_CONFIG_PATH move the output of any profile
+// elsewhere, e.g. to a scratch directory for test runs; FRONTEND_CONFIG_DIR
+// moves the directory of the frontend config files instead.
+const profiles = {
+  testnet: {
+    deploymentsDir: 'deployments',
+    // The file the frontend reads unless NFT_PROFILE selects another profile
+    frontendConfig: 'deployments.json',
+    mainnet: false,
+    networks: testnetNetworks
+  },
+  staging: {
+    deploymentsDir: 'deployments/staging',
+    mainnet: false,
+    networks: testnetNetworks
+  },
+  mainnet: {
+    deploymentsDir: 'deployments/mainnet',
+    mainnet: true,
+    networks: mainnetNetworks
+  },
+  local: {
+    deploymentsDir: 'deployments/local',
+    mainnet: false,
+    networks: localNetworks
+  }
+};
+
+/**
+ * Work out which profile is selected
+ * `--profile <name>` (or `--profile=<name>`) on the command line wins over the
+ * NFT_PROFILE environment variable.
+ * 
+ * @param {string[]} argv - Command line arguments after the script name
+ * @returns {string} Profile name
+ */
+function getSelectedProfileName(argv = process.argv.slice(2)) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile' && argv[i + 1]) {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith('--profile=')) {
+      return argv[i].slice('--profile='.length);
+    }
+  }
+  return process.env.NFT_PROFILE || DEFAULT_PROFILE;
+}
+
+/**
+ * Load the selected profile
+ * 
+ * @returns {Object} Profile with its name
+ * @throws {Error} If the profile does not exist
+ */
+function loadProfile() {
+  const name = getSelectedProfileName();
+  if (!profiles[name]) {
+    throw new Error(`Unknown profile "${name}". Available profiles: ${Object.keys(profiles).join(', ')}`);
+  }
+  return { name, ...profiles[name] };
+}
+
+const profile = loadProfile();
+
+// Networks of the selected profile
+const networks = profile.networks;
+
 /**
  * Get network configuration by name
  * @param {string} networkName - Network name (e.g., 'avalanche-testnet', 'base-testnet')
@@ -56,6 +265,27 @@ function getNetworkNames() {
   return Object.keys(networks);
 }
 
+/**
+ * Get the confirmations required for messages sent from one network to another
+ * 
+ * @param {string} sourceName - Source network name
+ * @param {string} destName - Destination network name
+ * @returns {number} Block confirmations on the source network
+ */
+function getRouteConfirmations(sourceName, destName) {
+  const source = networks[sourceName];
+  if (!source) {
+    return DEFAULT_CONFIRMATIONS;
+  }
+  
+  const overrides = source.confirmationOverrides || {};
+  if (overrides[destName] !== undefined) {
+    return overrides[destName];
+  }
+  
+  return source.confirmations !== undefined ? source.confirmations : DEFAULT_CONFIRMATIONS;
+}
+
 /**
  * Get all network configurations
  * @returns {Object} All network configurations
@@ -64,9 +294,71 @@ function getAllNetworks() {
   return networks;
 }
 
+/**
+ * Get the selected profile
+ * @returns {Object} Profile name, deployments directory, frontend config file, mainnet flag and networks
+ */
+function getProfile() {
+  return profile;
+}
+
+/**
+ * Get the deployments directory of the selected profile
+ * @returns {string} Absolute path
+ */
+function getDeploymentsDir() {
+  if (process.env.DEPLOYMENTS_DIR) {
+    return path.resolve(process.env.DEPLOYMENTS_DIR);
+  }
+  return path.resolve(__dirname, profile.deploymentsDir);
+}
+
+/**
+ * Get the path of the deployments file the frontend reads for the selected profile
+ * @returns {string} Absolute path
+ */
+function getFrontendConfigPath() {
+  if (process.env.FRONTEND_CONFIG_PATH) {
+    return path.resolve(process.env.FRONTEND_CONFIG_PATH);
+  }
+  
+  const dir = process.env.FRONTEND_CONFIG_DIR
+    ? path.resolve(process.env.FRONTEND_CONFIG_DIR)
+    : path.resolve(__dirname, 'frontend/src/config');
+  return path.join(dir, profile.frontendConfig || `deployments.${profile.name}.json`);
+}
+
+/**
+ * Remove the --profile option from a list of command line arguments
+ * For scripts that read their arguments by position.
+ * 
+ * @param {string[]} argv - Command line arguments
+ * @returns {string[]} Arguments without --profile and its value
+ */
+function stripProfileArgument(argv) {
+  const args = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--profile') {
+      i++;
+    } else if (!argv[i].startsWith('--profile=')) {
+      args.push(argv[i]);
+    }
+  }
+  return args;
+}
+
 module.exports = {
   networks,
+  profiles,
+  chainRegistryOverrides,
   getNetworkConfig,
   getNetworkNames,
-  getAllNetworks
+  getAllNetworks,
+  getRouteConfirmations,
+  getProfile,
+  getDeploymentsDir,
+  getFrontendConfigPath,
+  stripProfileArgument,
+  DEFAULT_CONFIRMATIONS,
+  DEFAULT_PROFILE
 };
@@ -0,0 +1,665 @@
+/**
+ * Cross-Chain NFT Admin Script
+ * ============================
+ * 
+ * This script manages who owns the cross-chain configuration of the MyNFT
+ * deployments. The owner (MESSAGE_OWNER) is the only account that can call
+ * configureClient, and deploy.js makes the deployer's key the owner on every
+ * chain. This script can:
+ * 
+ * 1. Show the current owner on each network
+ * 2. Hand ownership over to a new address (e.g. a multisig) on every chain in one run
+ * 3. Verify afterwards that every chain reports the new owner
+ * 4. Decommission a network: drop it from every other deployment and archive its files
+ * 
+ * USAGE:
+ *   node scripts/admin.js owners [<net>...]                       Show the owner on each network
+ *   node scripts/admin.js owners --expect <address> [<net>...]    Fail unless every network has this owner
+ *   node scripts/admin.js transfer-ownership <address> [<net>...] Transfer ownership on each network
+ *   node scripts/admin.js decommission <net>                      Retire a network's deployment
+ * 
+ * Without network names every network with a deployment is used. Transfers and
+ * decommissioning ask for confirmation first, --yes skips the prompt. When the
+ * current owner is a multisig, add --safe-batch to write the calls to Safe batch
+ * files (deployments/safe-batches/<network>.json) instead of sending them.
+ * 
+ * A network can be decommissioned after it was removed from network.config.js,
+ * as long as its deployments/<network> folder still exists.
+ * 
+ * --profile <name> (or NFT_PROFILE) selects the network set and deployments
+ * directory from network.config.js. On mainnet profiles every change needs the
+ * profile name typed as confirmation, --yes does not skip it.
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { networks, getNetworkNames, getProfile, getDeploymentsDir, getFrontendConfigPath } = require('../network.config');
+const { createProvider, sendTransaction, waitForTransaction } = require('./utils/transactions');
+const { checkSignerConfig, getSigner } = require('./utils/signers');
+const { createSafeBatch, addSafeTransaction, writeSafeBatches } = require('./utils/safe-batch');
+const { confirm, confirmMainnet } = require('./utils/prompts');
+require('dotenv').config();
+
+const DEPLOYMENTS_DIR = getDeploymentsDir();
+const FRONTEND_CONFIG_PATH = getFrontendConfigPath();
+
+// Most tokens read one by one when listing the holders on a decommissioned network
+const HOLDER_SCAN_LIMIT = 500;
+
+/**
+ * Load the MyNFT deployment of a network
+ * 
+ * @param {string} networkName - Network name from network.config.js
+ * @returns {Promise<Object|null>} Network, contract connected to the admin wallet, or null if not deployed
+ */
+async function loadDeployment(networkName) {
+  const network = networks[networkName];
+  const deploymentFile = path.join(DEPLOYMENTS_DIR, network.name, 'MyNFT.json');
+  
+  if (!fs.existsSync(deploymentFile)) {
+    return null;
+  }
+  
+  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
+  const wallet = await getSigner(createProvider(network));
+  
+  return {
+    networkName,
+    network,
+    address: deploymentInfo.address,
+    chainId: deploymentInfo.chainId,
+    wallet,
+    contract: new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, wallet)
+  };
+}
+
+/**
+ * Load the deployments of the requested networks
+ * 
+ * @param {Array<string>} networkNames - Requested networks, all networks if empty
+ * @returns {Promise<Array<Object>>} Deployments of the networks that have one
+ * @throws {Error} If an unknown network is named or nothing is deployed
+ */
+async function loadDeployments(networkNames) {
+  const available = getNetworkNames();
+  const unknown = networkNames.filter(name => !available.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown network(s): ${unknown.join(', ')}. Available networks: ${available.join(', ')}`);
+  }
+  
+  const selected = networkNames.length > 0 ? networkNames : available;
+  const deployments = [];
+  for (const networkName of selected) {
+    const deployment = await loadDeployment(networkName);
+    if (deployment) {
+      deployments.push(deployment);
+    } else if (networkNames.length > 0) {
+      throw new Error(`No deployment found for ${networkName}. Please deploy the contract first.`);
+    }
+  }
+  
+  if (deployments.length === 0) {
+    throw new Error('No deployments found. Please deploy the contract first.');
+  }
+  
+  return deployments;
+}
+
+/**
+ * Read the current owner of each deployment
+ * 
+ * @param {Array<Object>} deployments - Deployments to read
+ * @returns {Promise<Array<Object>>} Network, chain, contract and owner (or the read error) per deployment
+ */
+async function readOwners(deployments) {
+  return Promise.all(deployments.map(async deployment => {
+    try {
+      return { ...deployment, owner: await deployment.contract.MESSAGE_OWNER(), error: null };
+    } catch (error) {
+      return { ...deployment, owner: null, error: error.shortMessage || error.message };
+    }
+  }));
+}
+
+/**
+ * Print the owner of each deployment
+ * 
+ * @param {Array<Object>} owners - Result of readOwners
+ * @param {string|null} expected - Owner every network should have, if any
+ * @returns {boolean} True if every owner could be read and matches the expected owner
+ */
+function printOwners(owners, expected = null) {
+  let allMatch = true;
+  
+  console.log('');
+  console.log('Network'.padEnd(20) + 'Chain'.padEnd(8) + 'Contract'.padEnd(44) + 'Owner');
+  for (const entry of owners) {
+    let status = '';
+    if (entry.error) {
+      status = `error: ${entry.error}`;
+      allMatch = false;
+    } else if (expected && entry.owner.toLowerCase() !== expected.toLowerCase()) {
+      status = `${entry.owner} (expected ${expected})`;
+      allMatch = false;
+    } else {
+      status = entry.owner;
+    }
+    
+    if (!entry.error && entry.owner.toLowerCase() === entry.wallet.address.toLowerCase()) {
+      status += ' (this wallet)';
+    }
+    
+    console.log(entry.networkName.padEnd(20) + String(entry.chainId).padEnd(8) + entry.address.padEnd(44) + status);
+  }
+  
+  return allMatch;
+}
+
+/**
+ * Ask before sending transactions
+ * Mainnet profiles always need the profile name typed, even with --yes.
+ * 
+ * @param {string} question - Yes/no question for other profiles
+ * @param {boolean} skipConfirmation - Do not ask on profiles that are not mainnet
+ * @returns {Promise<boolean>} True if the transactions may be sent
+ */
+async function confirmSend(question, skipConfirmation) {
+  const profile = getProfile();
+  if (profile.mainnet) {
+    return confirmMainnet(profile, 'continue');
+  }
+  return skipConfirmation || confirm(question);
+}
+
+/**
+ * Transfer ownership on every deployment, then verify the result
+ * Networks already owned by the new owner are skipped. Networks owned by an
+ * account other than this wallet are reported and left alone.
+ * 
+ * @param {Array<Object>} deployments - Deployments to transfer
+ * @param {string} newOwner - Address of the new owner
+ * @param {boolean} skipConfirmation - Do not ask before sending transactions
+ * @returns {Promise<boolean>} True if every network ends up owned by the new owner
+ */
+async function transferOwnership(deployments, newOwner, skipConfirmation) {
+  console.log(`=== Transferring ownership to ${newOwner} ===`);
+  
+  const owners = await readOwners(deployments);
+  printOwners(owners);
+  
+  const pending = [];
+  for (const entry of owners) {
+    if (entry.error) {
+      console.error(`\n${entry.networkName}: could not read the owner, skipping.`);
+    } else if (entry.owner.toLowerCase() === newOwner.toLowerCase()) {
+      console.log(`\n${entry.networkName}: already owned by ${newOwner}, nothing to do.`);
+    } else if (entry.owner.toLowerCase() !== entry.wallet.address.toLowerCase()) {
+      console.error(`\n${entry.networkName}: owned by ${entry.owner}, not by this wallet (${entry.wallet.address}). Transfer it from the owner account.`);
+    } else {
+      pending.push(entry);
+    }
+  }
+  
+  if (pending.length > 0) {
+    // A multisig is a contract, so an address without code is worth a second look
+    for (const entry of pending) {
+      if (await entry.wallet.provider.getCode(newOwner) === '0x') {
+        console.warn(`\nWarning: ${newOwner} has no contract code on ${entry.networkName}. Make sure it is the intended owner.`);
+      }
+    }
+    
+    console.log(`\nOwnership will be transferred on: ${pending.map(entry => entry.networkName).join(', ')}`);
+    console.log('This wallet will no longer be able to configure those deployments.');
+    if (!(await confirmSend('Continue?', skipConfirmation))) {
+      console.log('Transfer cancelled.');
+      return false;
+    }
+  }
+  
+  for (const entry of pending) {
+    console.log(`\nTransferring ownership on ${entry.networkName}...`);
+    try {
+      const tx = await sendTransaction(
+        entry.wallet,
+        entry.network,
+        await entry.contract.transferMessageOwnership.populateTransaction(newOwner),
+        'ownership transfer'
+      );
+      console.log(`Transaction hash: ${tx.hash}`);
+      if (entry.network.blockExplorer) {
+        console.log(`Explorer: ${entry.network.blockExplorer}/tx/${tx.hash}`);
+      }
+      console.log('Waiting for confirmation...');
+      await waitForTransaction(tx);
+      console.log('Ownership transferred!');
+    } catch (error) {
+      if (error.code === 'UNSIGNED_TRANSACTION') {
+        console.log(error.message);
+      } else {
+        console.error(`Error transferring ownership on ${entry.networkName}:`, error.shortMessage || error.message);
+      }
+    }
+  }
+  
+  console.log('\n=== Verifying ownership ===');
+  const verified = printOwners(await readOwners(deployments), newOwner);
+  if (verified) {
+    console.log(`\nEvery network is now owned by ${newOwner}.`);
+  } else {
+    console.error(`\nNot every network is owned by ${newOwner}. Check the networks above.`);
+  }
+  return verified;
+}
+
+/**
+ * Write the ownership transfer calls to Safe batch files for the current owners
+ * 
+ * @param {Array<Object>} deployments - Deployments to transfer
+ * @param {string} newOwner - Address of the new owner
+ * @returns {Promise<void>}
+ */
+async function exportOwnershipTransfer(deployments, newOwner) {
+  console.log(`=== Exporting ownership transfer to ${newOwner} ===`);
+  
+  const owners = await readOwners(deployments);
+  printOwners(owners);
+  
+  const batch = createSafeBatch('MyNFT ownership transfer');
+  for (const entry of owners) {
+    if (entry.error) {
+      console.error(`\n${entry.networkName}: could not read the owner, skipping.`);
+      continue;
+    }
+    if (entry.owner.toLowerCase() === newOwner.toLowerCase()) {
+      console.log(`\n${entry.networkName}: already owned by ${newOwner}, nothing to do.`);
+      continue;
+    }
+    
+    const txRequest = await entry.contract.transferMessageOwnership.populateTransaction(newOwner);
+    addSafeTransaction(batch, {
+      networkName: entry.networkName,
+      chainId: entry.chainId,
+      safeAddress: entry.owner,
+      to: txRequest.to,
+      data: txRequest.data,
+      description: `transferMessageOwnership on ${entry.networkName} (${entry.chainId}): ${entry.owner} -> ${newOwner}`
+    });
+  }
+  
+  const files = writeSafeBatches(batch);
+  if (files.length === 0) {
+    console.log('\nNothing to export.');
+    return;
+  }
+  
+  console.log('\nSafe batches written (import them in the Safe Transaction Builder):');
+  files.forEach(file => console.log(`  ${file}`));
+  console.log(`\nOnce they are executed, check the result with: node scripts/admin.js owners --expect ${newOwner}`);
+}
+
+/**
+ * Read the frontend deployment config
+ * 
+ * @returns {Object} Deployments keyed by chain ID, empty if there is no config
+ */
+function readFrontendDeployments() {
+  if (!fs.existsSync(FRONTEND_CONFIG_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(FRONTEND_CONFIG_PATH, 'utf8'));
+}
+
+/**
+ * Load the deployment of the network to decommission
+ * Networks already removed from network.config.js are found by their
+ * deployments folder, with the RPC URL taken from the frontend config.
+ * 
+ * @param {string} networkName - Network name, as used for its deployments folder
+ * @returns {Promise<Object>} Network, deployment folder, and a contract if the network has an RPC URL
+ * @throws {Error} If the network has no deployment
+ */
+async function loadDecommissionTarget(networkName) {
+  const configured = networks[networkName];
+  const deploymentDir = path.join(DEPLOYMENTS_DIR, configured ? configured.name : networkName);
+  const deploymentFile = path.join(deploymentDir, 'MyNFT.json');
+  
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`No deployment found for ${networkName} (expected ${deploymentFile})`);
+  }
+  
+  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
+  const frontendEntry = readFrontendDeployments()[deploymentInfo.chainId];
+  const network = configured || {
+    name: networkName,
+    chainId: deploymentInfo.chainId,
+    rpcUrl: frontendEntry ? frontendEntry.rpcUrl : null,
+    blockExplorer: frontendEntry ? frontendEntry.blockExplorer : ''
+  };
+  
+  const target = {
+    networkName,
+    network,
+    isConfigured: Boolean(configured),
+    deploymentDir,
+    address: deploymentInfo.address,
+    chainId: deploymentInfo.chainId,
+    wallet: null,
+    contract: null
+  };
+  
+  if (network.rpcUrl) {
+    target.wallet = await getSigner(createProvider(network));
+    target.contract = new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, target.wallet);
+  }
+  
+  return target;
+}
+
+/**
+ * Count the NFTs on a deployment and who holds them
+ * 
+ * @param {Object} contract - MyNFT contract instance
+ * @returns {Promise<Object>} Total supply, token count per holder, and whether every token was read
+ */
+async function readHolders(contract) {
+  const totalSupply = await contract.totalSupply();
+  const scanned = totalSupply < BigInt(HOLDER_SCAN_LIMIT) ? totalSupply : BigInt(HOLDER_SCAN_LIMIT);
+  const holders = new Map();
+  
+  for (let index = 0n; index < scanned; index++) {
+    const owner = await contract.ownerOf(await contract.tokenByIndex(index));
+    holders.set(owner, (holders.get(owner) || 0) + 1);
+  }
+  
+  return { totalSupply, holders, complete: scanned === totalSupply };
+}
+
+/**
+ * Send a configureClient call, or add it to a Safe batch for the owner
+ * 
+ * @param {Object} entry - Deployment the call is made on
+ * @param {Array} args - configureClient arguments
+ * @param {string} description - What the call does
+ * @param {Object|null} batch - Safe batch to add the call to, null to send it
+ * @returns {Promise<string>} Outcome: 'sent', 'batched', 'exported', 'needs owner' or 'failed'
+ */
+async function sendConfigureCall(entry, args, description, batch) {
+  try {
+    const txRequest = await entry.contract.configureClient.populateTransaction(...args);
+    const owner = await entry.contract.MESSAGE_OWNER();
+    
+    if (batch) {
+      addSafeTransaction(batch, {
+        networkName: entry.networkName,
+        chainId: entry.chainId,
+        safeAddress: owner,
+        to: txRequest.to,
+        data: txRequest.data,
+        description
+      });
+      return 'batched';
+    }
+    
+    if (owner.toLowerCase() !== entry.wallet.address.toLowerCase()) {
+      console.error(`${entry.networkName}: owned by ${owner}, not by this wallet. Re-run with --safe-batch to export the call for the owner.`);
+      return 'needs owner';
+    }
+    
+    console.log(`\n${description}...`);
+    const tx = await sendTransaction(entry.wallet, entry.network, txRequest, 'configureClient');
+    console.log(`Transaction hash: ${tx.hash}`);
+    await waitForTransaction(tx);
+    console.log('Done.');
+    return 'sent';
+  } catch (error) {
+    if (error.code === 'UNSIGNED_TRANSACTION') {
+      console.log(error.message);
+      return 'exported';
+    }
+    console.error(`${entry.networkName}: configureClient failed: ${error.shortMessage || error.message}`);
+    return 'failed';
+  }
+}
+
+/**
+ * Retire a network's deployment
+ * 1. Warns if NFTs are still held on the network
+ * 2. Drops the network from every other deployment, so they no longer accept
+ *    messages from it or bridge to it
+ * 3. Deactivates bridging on the retired deployment itself, if it can still be reached
+ * 4. Archives the deployment folder and removes the network from the frontend config
+ * 
+ * Files are only archived once every other deployment has dropped the network,
+ * so the command can be run again until it completes.
+ * 
+ * @param {Object} target - Deployment to retire, from loadDecommissionTarget
+ * @param {Array<Object>} remaining - Deployments that stay
+ * @param {Object} commandOptions - Command options
+ * @param {boolean} commandOptions.yes - Do not ask before sending transactions
+ * @param {boolean} commandOptions.safeBatch - Write the calls to Safe batch files instead of sending them
+ * @returns {Promise<boolean>} False if the command was cancelled or a call failed
+ */
+async function decommission(target, remaining, { yes = false, safeBatch = false } = {}) {
+  console.log(`=== Decommissioning ${target.networkName} (chain ${target.chainId}) ===`);
+  console.log(`Contract: ${target.address}`);
+  
+  // NFTs left behind cannot be bridged anywhere once the network is dropped
+  let targetReachable = false;
+  if (!target.contract) {
+    console.warn(`\nWarning: no RPC URL known for ${target.networkName}, its NFT holders cannot be checked.`);
+  } else {
+    try {
+      const { totalSupply, holders, complete } = await readHolders(target.contract);
+      targetReachable = true;
+      if (totalSupply > 0n) {
+        console.warn(`\nWarning: ${totalSupply} NFT(s) still exist on ${target.networkName}${complete ? '' : ` (first ${HOLDER_SCAN_LIMIT} listed)`}:`);
+        for (const [holder, count] of holders) {
+          console.warn(`  ${holder}  ${count} NFT(s)`);
+        }
+        console.warn('Once the network is dropped these NFTs can no longer be bridged to other chains.');
+        console.warn('Ask their holders to bridge them out first.');
+      } else {
+        console.log(`\nNo NFTs left on ${target.networkName}.`);
+      }
+    } catch (error) {
+      console.warn(`\nWarning: could not check the NFT holders on ${target.networkName}: ${error.shortMessage || error.message}`);
+    }
+  }
+  
+  // Work out which deployments still have the network as a peer
+  const drops = [];
+  let unreadable = false;
+  for (const entry of remaining) {
+    try {
+      const chain = await entry.contract.CHAINS(target.chainId);
+      if (chain.endpoint !== ethers.ZeroAddress) {
+        drops.push(entry);
+      }
+    } catch (error) {
+      console.error(`${entry.networkName}: could not read its peers: ${error.shortMessage || error.message}`);
+      unreadable = true;
+    }
+  }
+  
+  const activePeers = [];
+  if (targetReachable) {
+    for (const entry of remaining) {
+      const chain = await target.contract.CHAINS(entry.chainId).catch(() => null);
+      if (chain && chain.endpoint !== ethers.ZeroAddress) {
+        activePeers.push(entry);
+      }
+    }
+  }
+  
+  console.log('\nChanges:');
+  drops.forEach(entry => console.log(`  ${entry.networkName}: drop chain ${target.chainId} (${target.networkName})`));
+  if (activePeers.length > 0) {
+    console.log(`  ${target.networkName}: deactivate bridging to ${activePeers.map(entry => entry.networkName).join(', ')}`);
+  }
+  if (drops.length === 0 && activePeers.length === 0) {
+    console.log('  none, no deployment has the network as an active peer');
+  }
+  console.log(`  archive ${target.deploymentDir}`);
+  console.log(`  remove chain ${target.chainId} from ${FRONTEND_CONFIG_PATH}`);
+  
+  if (!(await confirmSend('\nContinue?', yes))) {
+    console.log('Decommissioning cancelled.');
+    return false;
+  }
+  
+  const batch = safeBatch ? createSafeBatch(`Decommission ${target.networkName}`) : null;
+  const outcomes = [];
+  
+  for (const entry of drops) {
+    const messageContract = await entry.contract.MESSAGEv3();
+    outcomes.push(await sendConfigureCall(
+      entry,
+      [messageContract, [target.chainId], [ethers.ZeroAddress], [0]],
+      `configureClient on ${entry.networkName} (${entry.chainId}): drop chain ${target.chainId} (${target.networkName})`,
+      batch
+    ));
+  }
+  
+  if (activePeers.length > 0) {
+    const messageContract = await target.contract.MESSAGEv3();
+    const chainIds = activePeers.map(entry => entry.chainId);
+    await sendConfigureCall(
+      target,
+      [messageContract, chainIds, chainIds.map(() => ethers.ZeroAddress), chainIds.map(() => 0)],
+      `configureClient on ${target.networkName} (${target.chainId}): deactivate chains ${chainIds.join(', ')}`,
+      batch
+    );
+  }
+  
+  // With nothing left to batch, the Safe has run the earlier batches and the
+  // network can be archived
+  if (batch && Object.keys(batch.chains).length > 0) {
+    const files = writeSafeBatches(batch);
+    console.log('\nSafe batches written (import them in the Safe Transaction Builder):');
+    files.forEach(file => console.log(`  ${file}`));
+    console.log(`\nOnce they are executed, run this command again to archive ${target.networkName}.`);
+    return true;
+  }
+  
+  if (unreadable || outcomes.some(outcome => outcome !== 'sent')) {
+    console.error(`\nNot every deployment dropped ${target.networkName}. Its files were kept, run this command again once the problems above are solved.`);
+    return false;
+  }
+  
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const archiveDir = `${target.deploymentDir}.decommissioned-${timestamp}`;
+  fs.renameSync(target.deploymentDir, archiveDir);
+  console.log(`\nDeployment files archived to ${archiveDir}`);
+  
+  const frontendDeployments = readFrontendDeployments();
+  if (frontendDeployments[target.chainId]) {
+    delete frontendDeployments[target.chainId];
+    fs.writeFileSync(FRONTEND_CONFIG_PATH, JSON.stringify(frontendDeployments, null, 2));
+    console.log(`Chain ${target.chainId} removed from ${FRONTEND_CONFIG_PATH}`);
+  }
+  
+  console.log(`\n${target.networkName} is decommissioned.`);
+  if (target.isConfigured) {
+    console.log('Remove it from network.config.js, or the next deploy run will deploy to it again.');
+  }
+  return true;
+}
+
+/**
+ * Main execution function
+ * Parses command line arguments and runs the requested command
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      expect: { type: 'string' },
+      yes: { type: 'boolean', default: false },
+      'safe-batch': { type: 'boolean', default: false },
+      // Read by network.config.js
+      profile: { type: 'string' }
+    },
+    allowPositionals: true
+  });
+  const [command, ...args] = positionals;
+  
+  if (command === 'owners' || command === 'transfer-ownership' || command === 'decommission') {
+    checkSignerConfig();
+  }
+  
+  if (command === 'owners') {
+    if (values.expect && !ethers.isAddress(values.expect)) {
+      throw new Error(`Invalid address: ${values.expect}`);
+    }
+    
+    const owners = await readOwners(await loadDeployments(args));
+    if (!printOwners(owners, values.expect ? ethers.getAddress(values.expect) : null)) {
+      process.exit(1);
+    }
+    return;
+  }
+  
+  if (command === 'transfer-ownership') {
+    const [newOwner, ...networkNames] = args;
+    if (!newOwner || !ethers.isAddress(newOwner)) {
+      throw new Error('Usage: node scripts/admin.js transfer-ownership <address> [<net>...]');
+    }
+    if (ethers.getAddress(newOwner) === ethers.ZeroAddress) {
+      throw new Error('Refusing to transfer ownership to the zero address');
+    }
+    
+    const deployments = await loadDeployments(networkNames);
+    if (values['safe-batch']) {
+      await exportOwnershipTransfer(deployments, ethers.getAddress(newOwner));
+      return;
+    }
+    
+    const verified = await transferOwnership(deployments, ethers.getAddress(newOwner), values.yes);
+    if (!verified) {
+      process.exit(1);
+    }
+    return;
+  }
+  
+  if (command === 'decommission') {
+    const [networkName] = args;
+    if (!networkName) {
+      throw new Error('Usage: node scripts/admin.js decommission <network>');
+    }
+    
+    const target = await loadDecommissionTarget(networkName);
+    const remaining = [];
+    for (const name of getNetworkNames()) {
+      const deployment = name === networkName ? null : await loadDeployment(name);
+      if (deployment && deployment.chainId !== target.chainId) {
+        remaining.push(deployment);
+      }
+    }
+    
+    const succeeded = await decommission(target, remaining, { yes: values.yes, safeBatch: values['safe-batch'] });
+    if (!succeeded) {
+      process.exit(1);
+    }
+    return;
+  }
+  
+  console.log('NFT Admin CLI');
+  console.log('=============');
+  console.log('\nUsage:');
+  console.log('  node scripts/admin.js owners [--expect <address>] [<net>...]');
+  console.log('  node scripts/admin.js transfer-ownership <address> [--yes] [--safe-batch] [<net>...]');
+  console.log('  node scripts/admin.js decommission <network> [--yes] [--safe-batch]');
+  console.log('\nExamples:');
+  console.log('  node scripts/admin.js owners                          Show the owner on every network');
+  console.log('  node scripts/admin.js transfer-ownership 0xSafe...    Hand every network over to a multisig');
+  console.log('  node scripts/admin.js decommission base-testnet       Drop base-testnet from every other deployment');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
@@ -3,7 +3,7 @@
  * ============================
  * 
  * This script allows bridging NFTs between different blockchain networks.
- * It reads deployment information from the frontend config and uses it to:
+ * It reads the deployment files written by deploy.js and uses them to:
  * 
  * 1. Connect to the source network
  * 2. Bridge an NFT to the destination network
@@ -11,17 +11,37 @@
  * 
  * The script is designed to work with the MyNFT contract deployed
  * by the deploy.js script.
+ * 
+ * Transactions use the fee settings of the source network in network.config.js.
+ * A bridge transaction stuck in the mempool can be rebroadcast with higher fees:
+ *   node bridge.js --speed-up <txHash> [network]
+ * 
+ * --profile <name> (or NFT_PROFILE) selects the networks and deployments
+ * directory from network.config.js. On mainnet profiles the bridge transaction
+ * is only sent after a cost summary and a typed confirmation.
  */
 
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
-const { networks } = require('../network.config');
+const { networks, getProfile, getDeploymentsDir, stripProfileArgument } = require('../network.config');
+const {
+  createProvider,
+  getFeeOverrides,
+  estimateGasLimit,
+  getMaxTransactionCost,
+  sendTransaction,
+  waitForTransaction,
+  findTransactionNetwork,
+  speedUpTransaction
+} = require('./utils/transactions');
+const { checkSignerConfig, getSigner } = require('./utils/signers');
+const { confirmMainnet } = require('./utils/prompts');
 require('dotenv').config();
 
 /**
  * Get contract instance for a specific network
- * This function reads deployment information from the frontend config
+ * This function reads the network's deployment file in the profile's deployments directory
  * 
  * @param {string} networkName - Network name from network.config.js
  * @returns {Promise<Object>} Contract instance and related information
@@ -33,27 +53,24 @@ async function getContract(networkName) {
   }
   
   // Setup provider and wallet
-  const provider = new ethers.JsonRpcProvider(network.rpcUrl);
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY || '', provider);
+  const provider = createProvider(network);
+  const wallet = await getSigner(provider);
   
-  // Get deployment info from the frontend config
-  const frontendConfigPath = path.join(__dirname, '../frontend/src/config/deployments.json');
+  // Get deployment info from the deployment file
+  const deploymentFile = path.join(getDeploymentsDir(), network.name, 'MyNFT.json');
   
-  if (!fs.existsSync(frontendConfigPath)) {
-    throw new Error(`Deployment configuration not found. Please deploy the contract first.`);
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`No deployment found for ${networkName} in the ${getProfile().name} profile. Please deploy the contract first.`);
   }
   
-  const deployments = JSON.parse(fs.readFileSync(frontendConfigPath, 'utf8'));
+  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
   const providerNetwork = await provider.getNetwork();
-  const chainId = providerNetwork.chainId;
+  const chainId = Number(providerNetwork.chainId);
   
-  const chainIdKey = Number(chainId);
-  if (!deployments[chainIdKey]) {
-    throw new Error(`No deployment found for chain ID ${chainIdKey}. Please deploy the contract first.`);
+  if (chainId !== deploymentInfo.chainId) {
+    throw new Error(`The RPC of ${networkName} reports chain ID ${chainId}, but the deployment is on chain ID ${deploymentInfo.chainId}.`);
   }
   
-  const deploymentInfo = deployments[chainIdKey];
-  
   // Create contract instance
   return {
     contract: new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, wallet),
@@ -272,9 +289,43 @@ async function bridge(sourceNetwork, destNetwork, nftId, recipient, waitForCompl
   const recipientAddress = recipient || source.contract.runner.address;
   console.log(`Recipient address: ${recipientAddress}`);
   
+  const txRequest = await source.contract.bridge.populateTransaction(dest.chainId, recipientAddress, nftId);
+  
+  // Mainnet bridges show what they may cost and wait for a typed confirmation
+  const profile = getProfile();
+  if (profile.mainnet) {
+    const wallet = source.contract.runner;
+    txRequest.gasLimit = await estimateGasLimit(wallet, source.network, txRequest);
+    const fees = await getFeeOverrides(wallet.provider, source.network);
+    const { decimals, symbol } = source.network.nativeCurrency;
+    const balance = await wallet.provider.getBalance(wallet.address);
+    
+    console.log('\n=== Cost Summary ===');
+    console.log(`Network:      ${sourceNetwork} (chain ${source.chainId})`);
+    console.log(`Gas limit:    ${txRequest.gasLimit}`);
+    console.log(`Max fee:      ${ethers.formatUnits(fees.maxFeePerGas ?? fees.gasPrice, 'gwei')} gwei`);
+    console.log(`Maximum cost: ${ethers.formatUnits(getMaxTransactionCost({ ...txRequest, ...fees }), decimals)} ${symbol}`);
+    console.log(`Balance:      ${ethers.formatUnits(balance, decimals)} ${symbol}`);
+    
+    if (!(await confirmMainnet(profile, 'bridge'))) {
+      console.log('Bridge cancelled.');
+      return;
+    }
+  }
+  
   // Bridge NFT
   console.log(`Bridging NFT #${nftId} to chain ID ${dest.chainId}...`);
-  const tx = await source.contract.bridge(dest.chainId, recipientAddress, nftId);
+  let tx;
+  try {
+    tx = await sendTransaction(source.contract.runner, source.network, txRequest, 'bridge transaction');
+  } catch (error) {
+    if (error.code === 'UNSIGNED_TRANSACTION') {
+      console.log(error.message);
+      console.log(`Sign and send it, then check your NFTs on ${destNetwork} after a few minutes.`);
+      return;
+    }
+    throw error;
+  }
   
   console.log(`Transaction hash: ${tx.hash}`);
   
@@ -286,7 +337,7 @@ async function bridge(sourceNetwork, destNetwork, nftId, recipient, waitForCompl
   
   console.log('Waiting for confirmation...');
   
-  await tx.wait();
+  await waitForTransaction(tx);
   console.log('Bridge transaction confirmed!');
   
   console.log(`\nNFT is being bridged from ${sourceNetwork} to ${destNetwork}.`);
@@ -307,16 +358,60 @@ async function bridge(sourceNetwork, destNetwork, nftId, recipient, waitForCompl
   }
 }
 
+/**
+ * Rebroadcast a pending transaction with higher fees at the same nonce
+ * 
+ * @param {string} txHash - Hash of the pending transaction
+ * @param {string} networkName - Network the transaction was sent on, searched for if omitted
+ * @returns {Promise<void>}
+ */
+async function speedUp(txHash, networkName) {
+  if (networkName && !networks[networkName]) {
+    throw new Error(`Network ${networkName} not found`);
+  }
+  
+  const candidates = networkName ? [networks[networkName]] : Object.values(networks);
+  const network = await findTransactionNetwork(candidates, txHash);
+  if (!network) {
+    throw new Error(`Transaction ${txHash} not found on ${networkName || 'any configured network'}`);
+  }
+  
+  const wallet = await getSigner(createProvider(network));
+  const replacement = await speedUpTransaction(wallet, network, txHash, async tx => {
+    const { decimals, symbol } = network.nativeCurrency;
+    console.log(`Maximum cost: ${ethers.formatUnits(getMaxTransactionCost(tx), decimals)} ${symbol}`);
+    return confirmMainnet(getProfile(), 'send the replacement');
+  });
+  console.log(`Replacement transaction hash: ${replacement.hash}`);
+  console.log('Waiting for confirmation...');
+  
+  await waitForTransaction(replacement);
+  console.log('Replacement transaction confirmed!');
+}
+
 /**
  * Main execution function
  * Parses command line arguments and initiates the bridge process
  */
 async function main() {
-  // Get command line arguments
-  const sourceNetwork = process.argv[2];
-  const destNetwork = process.argv[3];
-  const nftId = process.argv[4];
-  const recipient = process.argv[5]; // Optional recipient address
+  // Get command line arguments (--profile is read by network.config.js)
+  const [sourceNetwork, destNetwork, nftId, recipient] = stripProfileArgument(process.argv.slice(2)); // Recipient is optional
+  
+  // Speed up a stuck transaction instead of bridging
+  if (sourceNetwork === '--speed-up') {
+    if (!destNetwork) {
+      console.error('Usage: node bridge.js --speed-up <txHash> [network]');
+      process.exit(1);
+    }
+    
+    try {
+      await speedUp(destNetwork, nftId);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+    return;
+  }
   
   // If no source network is provided, show help
   if (!sourceNetwork) {
@@ -324,10 +419,13 @@ async function main() {
     console.log('=============');
     console.log('\nUsage:');
     console.log('  node bridge.js <source-network> [dest-network] [nft-id] [recipient]');
+    console.log('  node bridge.js --speed-up <txHash> [network]');
+    console.log('  Add --profile <name> to use another profile from network.config.js');
     console.log('\nExamples:');
     console.log('  node bridge.js avalanche-testnet                     List NFTs on Avalanche testnet');
     console.log('  node bridge.js avalanche-testnet base-testnet 100001 Bridge NFT #100001 to Base testnet');
-    console.log('\nAvailable networks:');
+    console.log('  node bridge.js --speed-up 0xabc... base-testnet      Rebroadcast a stuck transaction with higher fees');
+    console.log(`\nAvailable networks (${getProfile().name} profile):`);
     
     for (const [key, network] of Object.entries(networks)) {
       console.log(`  ${key.padEnd(20)} ${network.name}`);
@@ -336,6 +434,14 @@ async function main() {
     process.exit(0);
   }
   
+  // Fail early with a clear message if no signer is configured
+  try {
+    checkSignerConfig();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+  
   // Check if source network exists
   if (!networks[sourceNetwork]) {
     console.error(`Source network ${sourceNetwork} not found`);
@@ -13,6 +13,62 @@
  * The script is safe to run multiple times - it will preserve existing deployments
  * and only deploy to new networks that have been added to the configuration.
  * 
+ * USAGE:
+ *   node scripts/deploy.js                         Deploy and configure all networks
+ *   node scripts/deploy.js <net> [<net>...]        Deploy only the named networks
+ *   node scripts/deploy.js --only <net,...>        Same as above
+ *   node scripts/deploy.js --exclude <net,...>     Deploy every network except these
+ *   node scripts/deploy.js --plan                  Report what would happen without sending any transaction
+ *   node scripts/deploy.js --redeploy-stale        Replace existing deployments that fail validation
+ *   node scripts/deploy.js --recompile             Compile even if the sources are unchanged
+ *   node scripts/deploy.js --reset-step <step>     Run one journal step again on the selected networks
+ *   node scripts/deploy.js --concurrency <n>       Deploy to at most n networks at once (default 4)
+ *   node scripts/deploy.js --create2 [--salt <s>]  Deploy through a CREATE2 factory so that MyNFT
+ *                                                  gets the same address on every network
+ *   node scripts/deploy.js --speed-up <txHash>     Rebroadcast a stuck transaction with higher fees
+ *   node scripts/deploy.js --safe-batch            Write configuration calls to Safe batch files
+ *                                                  instead of sending them
+ *   node scripts/deploy.js --force                 Deploy even if the pre-flight checks fail
+ *   node scripts/deploy.js --mint <count>          Mint this many NFTs on each new deployment (default 1)
+ *   node scripts/deploy.js --mint-to <address>     Send the initial NFTs to this address instead of the deployer
+ *   node scripts/deploy.js --no-mint               Skip the initial mint
+ *   node scripts/deploy.js --profile <name>        Use a profile from network.config.js (or set NFT_PROFILE)
+ *   node scripts/deploy.js import <net> <address>  Add a MyNFT contract deployed by another route, then
+ *                                                  configure it with the other deployments
+ * 
+ * Each network's progress is kept in deployments/<network>/journal.json as a
+ * sequence of steps: deployed -> saved -> minted -> configured. A run that
+ * stops part way resumes at the first unfinished step. Transactions that were
+ * sent but not confirmed are waited for instead of being sent again.
+ * 
+ * Every run ends with a summary of each network, which is also written to
+ * deployments/deploy-summary.json and deployments/deploy-summary.md.
+ * 
+ * Deployments made from the current build also get an explorer verification
+ * bundle: deployments/<network>/MyNFT.verification.json (compiler version,
+ * optimizer settings, constructor arguments) next to the Standard JSON input
+ * in MyNFT.standard-input.json.
+ * 
+ * Networks left out of the selection are not deployed to, but any existing
+ * deployment they have is still wired up as a peer during configuration.
+ * 
+ * An imported contract must have the runtime bytecode of the current build. It
+ * gets the same deployment file and frontend entry as a contract deployed here,
+ * is never minted to, and is configured like any other deployment.
+ * 
+ * Networks and the deployments directory come from the selected profile in
+ * network.config.js (testnet by default). Mainnet profiles show the pre-flight
+ * cost table and then need the profile name typed before anything is sent.
+ * 
+ * The signer is set up in .env: a private key, an encrypted keystore, a mnemonic
+ * or "unsigned" mode, which writes transactions to a file for offline signing
+ * (see scripts/utils/signers.js).
+ * 
+ * Transactions use the fee settings in each network's `fees` entry of
+ * network.config.js. Sends rejected as "replacement underpriced" are retried
+ * at the same nonce with higher fees, and sends whose nonce was used in the
+ * meantime at the next free nonce.
+ * 
  * INTEGRATION NOTES:
  * - This script uses ethers.js v6 for blockchain interactions
  * - The core logic can be adapted to work with any deployment framework
@@ -25,34 +81,251 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
-const { getChainConfig } = require('@vialabs-io/npm-registry');
-const { execSync } = require('child_process');
-const { networks, getNetworkNames } = require('../network.config');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const {
+  networks,
+  getNetworkNames,
+  getRouteConfirmations,
+  getProfile,
+  getDeploymentsDir,
+  getFrontendConfigPath
+} = require('../network.config');
+const {
+  createProvider,
+  validateFeeSettings,
+  getFeeSettings,
+  getFeeOverrides,
+  getMaxTransactionCost,
+  sendTransaction,
+  waitForTransaction,
+  findTransactionNetwork,
+  speedUpTransaction
+} = require('./utils/transactions');
+const { checkSignerConfig, loadSigner, getSigner } = require('./utils/signers');
+const { createSafeBatch, addSafeTransaction, writeSafeBatches } = require('./utils/safe-batch');
+const { getChainConfig } = require('./utils/chain-registry');
+const { confirmMainnet } = require('./utils/prompts');
 require('dotenv').config();
 
 // ======================================================================
 // SECTION 1: CONTRACT COMPILATION
 // ======================================================================
 
+const ROOT_DIR = path.join(__dirname, '..');
+const BUILD_DIR = path.join(ROOT_DIR, 'build');
+
+// Deployment files of the selected profile
+const DEPLOYMENTS_DIR = getDeploymentsDir();
+const CONTRACT_SOURCE = 'contracts/MyNFT.sol';
+const CONTRACT_NAME = 'MyNFT';
+const BUILD_INFO_FILE = path.join(BUILD_DIR, 'MyNFT.build.json');
+const STANDARD_INPUT_FILE = path.join(BUILD_DIR, 'MyNFT.input.json');
+
+// Artifact files, named the way the solcjs command line names them
+const ABI_FILE = path.join(BUILD_DIR, 'contracts_MyNFT_sol_MyNFT.abi');
+const BIN_FILE = path.join(BUILD_DIR, 'contracts_MyNFT_sol_MyNFT.bin');
+
+// Optimizer settings passed to solc and recorded with every deployment
+const OPTIMIZER = {
+  enabled: true,
+  runs: 200
+};
+
+/**
+ * Resolve a Solidity import the same way solcjs does with
+ * --base-path . --include-path node_modules/
+ * 
+ * @param {string} importPath - Path as written in the import statement
+ * @param {string} importingUnit - Source unit name of the importing file
+ * @returns {string|null} Source unit name of the imported file, or null if not found
+ */
+function resolveImport(importPath, importingUnit) {
+  const unitName = importPath.startsWith('.')
+    ? path.posix.join(path.posix.dirname(importingUnit), importPath)
+    : importPath;
+  
+  for (const baseDir of [ROOT_DIR, path.join(ROOT_DIR, 'node_modules')]) {
+    if (fs.existsSync(path.join(baseDir, unitName))) {
+      return unitName;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Read a source unit from the base path or the node_modules include path
+ * 
+ * @param {string} unitName - Source unit name
+ * @returns {string} File contents
+ */
+function readSourceUnit(unitName) {
+  const localPath = path.join(ROOT_DIR, unitName);
+  const filePath = fs.existsSync(localPath) ? localPath : path.join(ROOT_DIR, 'node_modules', unitName);
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Collect the contract source and every file it imports, directly or indirectly
+ * 
+ * @returns {Object} Map of source unit name to file contents
+ */
+function collectSources() {
+  const sources = {};
+  const pending = [CONTRACT_SOURCE];
+  
+  while (pending.length > 0) {
+    const unitName = pending.pop();
+    if (sources[unitName] !== undefined) {
+      continue;
+    }
+    
+    const content = readSourceUnit(unitName);
+    sources[unitName] = content;
+    
+    const importPattern = /import\s+(?:[^'"]*?\s+from\s+)?["']([^"']+)["']/g;
+    let match;
+    while ((match = importPattern.exec(content)) !== null) {
+      const imported = resolveImport(match[1], unitName);
+      if (!imported) {
+        throw new Error(`Cannot resolve import "${match[1]}" in ${unitName}`);
+      }
+      pending.push(imported);
+    }
+  }
+  
+  return sources;
+}
+
+/**
+ * Hash a set of sources, independent of the order they were collected in
+ * 
+ * @param {Object} sources - Map of source unit name to file contents
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+function hashSources(sources) {
+  const hash = crypto.createHash('sha256');
+  for (const unitName of Object.keys(sources).sort()) {
+    hash.update(unitName);
+    hash.update('\0');
+    hash.update(sources[unitName]);
+    hash.update('\0');
+  }
+  return '0x' + hash.digest('hex');
+}
+
+/**
+ * Build the Standard JSON input for the compiler
+ * The same input is kept for explorer verification, so it contains every
+ * source and setting that affects the bytecode.
+ * 
+ * @param {Object} sources - Map of source unit name to file contents
+ * @returns {Object} Standard JSON input
+ */
+function createStandardJsonInput(sources) {
+  const sortedSources = {};
+  for (const unitName of Object.keys(sources).sort()) {
+    sortedSources[unitName] = { content: sources[unitName] };
+  }
+  
+  return {
+    language: 'Solidity',
+    sources: sortedSources,
+    settings: {
+      optimizer: OPTIMIZER,
+      outputSelection: {
+        '*': {
+          '*': ['abi', 'evm.bytecode.object']
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Read the build information recorded by the last successful compilation
+ * 
+ * @returns {Object|null} Build information or null if there is none
+ */
+function readBuildInfo() {
+  if (!fs.existsSync(BUILD_INFO_FILE)) {
+    return null;
+  }
+  
+  try {
+    return JSON.parse(fs.readFileSync(BUILD_INFO_FILE, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
- * Compiles the MyNFT.sol contract using solcjs
+ * Compiles the MyNFT.sol contract using solc
+ * Compilation is skipped when the source, its imports, the compiler package
+ * and the optimizer settings are unchanged since the last successful build.
+ * 
+ * @param {Object} options - Compile options
+ * @param {boolean} options.force - Compile even if the cached build is up to date
  * @returns {Promise<boolean>} True if compilation was successful, false otherwise
  */
-async function compileContract() {
+async function compileContract({ force = false } = {}) {
   console.log('=== Compiling Contract ===');
   try {
     // Create build directory if it doesn't exist
-    const buildDir = path.join(__dirname, '../build');
-    if (!fs.existsSync(buildDir)) {
-      fs.mkdirSync(buildDir, { recursive: true });
+    if (!fs.existsSync(BUILD_DIR)) {
+      fs.mkdirSync(BUILD_DIR, { recursive: true });
     }
     
-    // Compile the contract with optimizer enabled
-    console.log('Running solcjs compiler with optimizer...');
-    execSync('npx solcjs --bin --abi --include-path node_modules/ --base-path . -o ./build --optimize --optimize-runs 200 contracts/MyNFT.sol', {
-      cwd: path.join(__dirname, '..'),
-      stdio: 'inherit'
-    });
+    const sources = collectSources();
+    const sourceHash = hashSources(sources);
+    const solcPackageVersion = require('solc/package.json').version;
+    const previousBuild = readBuildInfo();
+    
+    const isCached = previousBuild &&
+      previousBuild.sourceHash === sourceHash &&
+      previousBuild.solcPackageVersion === solcPackageVersion &&
+      JSON.stringify(previousBuild.optimizer) === JSON.stringify(OPTIMIZER) &&
+      fs.existsSync(STANDARD_INPUT_FILE) &&
+      loadContractArtifacts({ quiet: true });
+    
+    if (isCached && !force) {
+      console.log(`Sources unchanged (${sourceHash.slice(0, 18)}...), using cached build.`);
+      return true;
+    }
+    
+    // Compile the contract with optimizer enabled, from Standard JSON so that
+    // the exact input can be kept for explorer verification
+    console.log('Running solc compiler with optimizer...');
+    const solc = require('solc');
+    const input = createStandardJsonInput(sources);
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    
+    const messages = output.errors || [];
+    messages
+      .filter(message => message.severity !== 'error')
+      .forEach(message => console.warn(message.formattedMessage));
+    const errors = messages.filter(message => message.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+    }
+    
+    const compiled = output.contracts[CONTRACT_SOURCE][CONTRACT_NAME];
+    fs.writeFileSync(ABI_FILE, JSON.stringify(compiled.abi));
+    fs.writeFileSync(BIN_FILE, compiled.evm.bytecode.object);
+    fs.writeFileSync(STANDARD_INPUT_FILE, JSON.stringify(input, null, 2));
+    
+    // Record what was built so deployments can be traced back to it
+    const buildInfo = {
+      compiler: `solc ${solc.version()}`,
+      // Version string explorers expect, e.g. v0.8.17+commit.8df45f5f
+      compilerVersion: `v${solc.version().replace(/\.Emscripten.*$/, '')}`,
+      solcPackageVersion,
+      optimizer: OPTIMIZER,
+      sourceHash,
+      compiledAt: new Date().toISOString()
+    };
+    fs.writeFileSync(BUILD_INFO_FILE, JSON.stringify(buildInfo, null, 2));
     
     console.log('Compilation successful!');
     return true;
@@ -67,339 +340,2622 @@ async function compileContract() {
 // ======================================================================
 
 /**
- * Check if a deployment already exists for a network
- * This prevents redeploying to networks that already have contracts.
+ * Read the saved deployment file for a network
  * 
  * @param {string} networkName - Network name
- * @returns {Promise<Object|null>} Existing deployment or null if not found
+ * @returns {Object|null} Parsed deployment file or null if not found
  */
-async function checkExistingDeployment(networkName) {
+function readDeploymentFile(networkName) {
   const network = networks[networkName];
-  const deploymentDir = path.join(__dirname, '../deployments', network.name);
-  const deploymentFile = path.join(deploymentDir, 'MyNFT.json');
+  const deploymentFile = path.join(DEPLOYMENTS_DIR, network.name, 'MyNFT.json');
   
-  if (fs.existsSync(deploymentFile)) {
-    try {
-      const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
-      console.log(`Existing deployment found for ${network.name}`);
-      
-      // Setup provider to get contract instance
-      const provider = new ethers.JsonRpcProvider(network.rpcUrl);
-      const wallet = new ethers.Wallet(process.env.PRIVATE_KEY || '', provider);
-      
-      // Create contract instance
-      const contract = new ethers.Contract(
-        deploymentInfo.address,
-        deploymentInfo.abi,
-        wallet
-      );
-      
-      return {
-        address: deploymentInfo.address,
-        chainId: deploymentInfo.chainId,
-        contract: contract,
-        isExisting: true
-      };
-    } catch (error) {
-      console.warn(`Error reading existing deployment for ${network.name}:`, error.message);
-      return null;
-    }
+  if (!fs.existsSync(deploymentFile)) {
+    return null;
   }
   
-  return null;
+  return JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
 }
 
+// Steps of a network deployment, in the order they run
+const JOURNAL_STEPS = ['deployed', 'saved', 'minted', 'configured'];
+
 /**
- * Deploy the contract to a specific network if it doesn't already exist
- * This function handles:
- * 1. Checking for existing deployments
- * 2. Deploying the contract if needed
- * 3. Saving deployment information for both backend and frontend
+ * Get the path of a network's deployment journal
  * 
- * @param {string} networkName - Network name from network.config.js
- * @returns {Promise<Object|null>} Deployment information or null if failed
+ * @param {string} networkName - Network name
+ * @returns {string} Journal file path
  */
-async function deployToNetwork(networkName) {
-  const network = networks[networkName];
-  console.log(`\n=== Processing ${network.name} ===`);
+function getJournalPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, networks[networkName].name, 'journal.json');
+}
 
-  // Check if deployment already exists
-  const existingDeployment = await checkExistingDeployment(networkName);
-  if (existingDeployment) {
-    console.log(`Using existing deployment at ${existingDeployment.address}`);
-    return existingDeployment;
+/**
+ * Load a network's deployment journal, or an empty one if none was written yet
+ * 
+ * @param {string} networkName - Network name
+ * @returns {Object} Journal with completed steps and any unconfirmed transaction
+ */
+function loadJournal(networkName) {
+  const journalPath = getJournalPath(networkName);
+  
+  if (fs.existsSync(journalPath)) {
+    return JSON.parse(fs.readFileSync(journalPath, 'utf8'));
   }
   
-  console.log(`No existing deployment found. Deploying to ${network.name}...`);
+  return { network: networks[networkName].name, steps: {}, pending: null };
+}
 
-  // Setup provider and wallet
-  const provider = new ethers.JsonRpcProvider(network.rpcUrl);
-  const wallet = new ethers.Wallet(process.env.PRIVATE_KEY || '', provider);
-  
-  console.log(`Using wallet address: ${wallet.address}`);
+/**
+ * Write a network's deployment journal
+ * 
+ * @param {string} networkName - Network name
+ * @param {Object} journal - Journal to write
+ */
+function saveJournal(networkName, journal) {
+  const journalPath = getJournalPath(networkName);
+  fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+  fs.writeFileSync(journalPath, JSON.stringify(journal, null, 2));
+}
 
-  // Get chain ID
-  const providerNetwork = await provider.getNetwork();
-  const chainId = providerNetwork.chainId;
-  console.log(`Chain ID: ${chainId}`);
+/**
+ * Record a transaction that has been sent for a step but is not confirmed yet
+ * 
+ * @param {string} networkName - Network name
+ * @param {Object} journal - Network journal
+ * @param {string} step - Journal step the transaction belongs to
+ * @param {Object} details - Transaction hash and any other details
+ */
+function recordPendingTransaction(networkName, journal, step, details) {
+  journal.pending = { step, ...details, sentAt: new Date().toISOString() };
+  saveJournal(networkName, journal);
+}
 
-  // Get chain config
-  const chainConfig = getChainConfig(chainId);
-  if (!chainConfig) {
-    console.error(`Chain configuration not found for chainId: ${chainId}`);
-    return null;
+/**
+ * Mark a journal step as completed
+ * 
+ * @param {string} networkName - Network name
+ * @param {Object} journal - Network journal
+ * @param {string} step - Completed step
+ * @param {Object} details - Details to keep with the step
+ */
+function completeStep(networkName, journal, step, details = {}) {
+  journal.steps[step] = { ...details, completedAt: new Date().toISOString() };
+  if (journal.pending && journal.pending.step === step) {
+    journal.pending = null;
   }
-  
-  console.log(`Deploying to ${chainConfig.name} (${chainConfig.network})...`);
+  saveJournal(networkName, journal);
+}
 
-  // Read contract files
-  const contractPath = path.join(__dirname, '../build');
-  
-  // Find ABI and bytecode files
-  const files = fs.readdirSync(contractPath);
-  const abiFile = files.find(file => file.includes('MyNFT.abi'));
-  const binFile = files.find(file => file.includes('MyNFT.bin'));
-  
-  if (!abiFile || !binFile) {
-    console.error('ABI or bytecode files not found after compilation.');
-    return null;
+/**
+ * Forget a completed step so that it runs again
+ * Resetting "deployed" forgets every step, as they all belong to the old contract.
+ * 
+ * @param {Object} journal - Network journal (changed in place, not written)
+ * @param {string} step - Step to reset
+ */
+function resetJournalStep(journal, step) {
+  if (step === 'deployed') {
+    journal.steps = {};
+    journal.pending = null;
+    return;
   }
   
-  const abi = JSON.parse(fs.readFileSync(path.join(contractPath, abiFile), 'utf8'));
-  const bytecode = '0x' + fs.readFileSync(path.join(contractPath, binFile), 'utf8');
-
-  // Deploy contract
-  console.log('Deploying MyNFT contract...');
-  const factory = new ethers.ContractFactory(abi, bytecode, wallet);
-  const contract = await factory.deploy();
-  
-  console.log(`Transaction hash: ${contract.deploymentTransaction().hash}`);
-  console.log('Waiting for deployment...');
-  
-  await contract.waitForDeployment();
-  const contractAddress = await contract.getAddress();
-  
-  console.log(`Contract deployed to: ${contractAddress}`);
+  delete journal.steps[step];
+  if (journal.pending && journal.pending.step === step) {
+    journal.pending = null;
+  }
+}
 
-  // Save deployment info
-  const deploymentDir = path.join(__dirname, '../deployments', network.name);
-  if (!fs.existsSync(deploymentDir)) {
-    fs.mkdirSync(deploymentDir, { recursive: true });
+/**
+ * Wait for a transaction sent by a previous run
+ * 
+ * @param {Object} provider - Ethers provider
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object|null>} Receipt, or null if the transaction was dropped or reverted
+ */
+async function waitForPendingTransaction(provider, txHash) {
+  const tx = await provider.getTransaction(txHash);
+  if (!tx) {
+    return null;
   }
   
-  const deploymentInfo = {
-    address: contractAddress,
-    abi: abi,
-    network: network.name,
-    chainId: Number(chainId),
-    deployedAt: new Date().toISOString()
-  };
-  
-  fs.writeFileSync(
-    path.join(deploymentDir, 'MyNFT.json'),
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-  
-  fs.writeFileSync(
-    path.join(deploymentDir, '.chainId'),
-    chainId.toString()
-  );
-  
-  // Also save to a frontend-accessible location
-  const frontendConfigDir = path.join(__dirname, '../frontend/src/config');
-  if (!fs.existsSync(frontendConfigDir)) {
-    fs.mkdirSync(frontendConfigDir, { recursive: true });
+  try {
+    return await tx.wait();
+  } catch (error) {
+    if (error.code === 'CALL_EXCEPTION') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read the recorded deployment for a network
+ * Falls back to the journal when a run stopped after deploying but before the
+ * deployment file was written.
+ * 
+ * @param {string} networkName - Network name
+ * @returns {Object|null} Deployment address, chain ID and ABI, or null if there is none
+ */
+function readRecordedDeployment(networkName) {
+  const deploymentInfo = readDeploymentFile(networkName);
+  if (deploymentInfo) {
+    return deploymentInfo;
   }
   
-  // Update or create the deployments.json file
-  const frontendConfigPath = path.join(frontendConfigDir, 'deployments.json');
-  let frontendDeployments = {};
-  
-  // Read existing deployments if file exists
-  if (fs.existsSync(frontendConfigPath)) {
-    try {
-      const existingConfig = fs.readFileSync(frontendConfigPath, 'utf8');
-      frontendDeployments = JSON.parse(existingConfig);
-    } catch (error) {
-      console.warn('Error reading existing frontend deployments:', error.message);
-    }
+  const deployed = loadJournal(networkName).steps.deployed;
+  const artifacts = deployed && loadContractArtifacts({ quiet: true });
+  if (!artifacts) {
+    return null;
   }
   
-  // Update with new deployment
-  // Use the existing chainConfig for additional information
-  const chainIdKey = Number(chainId);
-  frontendDeployments[chainIdKey] = {
-    address: contractAddress,
-    network: network.name,
-    chainId: chainIdKey,
-    deployedAt: new Date().toISOString(),
-    abi: abi, // Include ABI for the frontend and scripts
-    rpcUrl: network.rpcUrl, // Include RPC URL for the frontend
-    blockExplorer: chainConfig?.explorer || '' // Get block explorer from chain config
+  return {
+    address: deployed.address,
+    chainId: deployed.chainId,
+    abi: artifacts.abi
   };
+}
+
+/**
+ * Move a deployment file aside so that the network gets a fresh deployment
+ * 
+ * @param {string} networkName - Network name
+ * @param {string} label - Label for the archived file (e.g. 'stale')
+ * @returns {string|null} Path of the archived file, or null if there was no file
+ */
+function archiveDeploymentFile(networkName, label) {
+  const network = networks[networkName];
+  const deploymentDir = path.join(DEPLOYMENTS_DIR, network.name);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const archivePath = path.join(deploymentDir, `MyNFT.${label}-${timestamp}.json`);
+  const deploymentFile = path.join(deploymentDir, 'MyNFT.json');
   
-  // Write updated deployments
-  fs.writeFileSync(
-    frontendConfigPath,
-    JSON.stringify(frontendDeployments, null, 2)
-  );
+  if (!fs.existsSync(deploymentFile)) {
+    return null;
+  }
   
-  console.log(`Deployment information saved to ${deploymentDir}/MyNFT.json`);
-  console.log(`Frontend deployment config updated at ${frontendConfigPath}`);
+  fs.renameSync(deploymentFile, archivePath);
+  return archivePath;
+}
+
+/**
+ * Check a saved deployment against the chain before it is reused
+ * 1. The RPC chain ID matches the recorded chain ID
+ * 2. There is contract code at the recorded address
+ * 3. That code matches the runtime bytecode of the current build
+ * 
+ * An RPC failure during the checks is returned as `error` rather than as a
+ * problem: it says nothing about the deployment, so it must not get a working
+ * contract replaced.
+ * 
+ * @param {Object} provider - Ethers provider for the network
+ * @param {Object} deploymentInfo - Parsed deployment file
+ * @returns {Promise<Object>} Mismatches found in `problems` (empty if the deployment is valid), and `error`, the reason the checks could not finish, or null
+ */
+async function validateDeployment(provider, deploymentInfo) {
+  const problems = [];
   
-  // Mint an initial NFT
-  console.log('\nMinting an initial NFT...');
   try {
-    const mintTx = await contract.mint();
-    console.log(`Mint transaction hash: ${mintTx.hash}`);
-    console.log('Waiting for confirmation...');
+    const providerNetwork = await provider.getNetwork();
+    if (Number(providerNetwork.chainId) !== Number(deploymentInfo.chainId)) {
+      problems.push(`RPC chain ID ${providerNetwork.chainId} does not match recorded chain ID ${deploymentInfo.chainId}`);
+    }
     
-    const receipt = await mintTx.wait();
+    const code = await provider.getCode(deploymentInfo.address);
+    if (code === '0x') {
+      problems.push(`No contract code at ${deploymentInfo.address}`);
+      return { problems, error: null };
+    }
     
-    // Get the NFT ID from the event
-    let nftId = null;
-    try {
-      // Find the NFTMinted event
-      const event = receipt.logs
-        .map(log => {
-          try {
-            return contract.interface.parseLog(log);
-          } catch (e) {
-            return null;
-          }
-        })
-        .filter(Boolean)
-        .find(event => event.name === 'NFTMinted');
-      
-      if (event) {
-        nftId = event.args.tokenId.toString();
-        console.log(`Successfully minted NFT #${nftId}`);
-      } else {
-        console.log('NFT minted successfully, but could not determine the NFT ID');
+    // Simulating the creation transaction returns the runtime bytecode it would deploy
+    const artifacts = loadContractArtifacts();
+    if (artifacts) {
+      const expectedCode = await provider.call({ data: getInitCode(artifacts, ethers.ZeroAddress) });
+      if (code.toLowerCase() !== expectedCode.toLowerCase()) {
+        problems.push('Runtime bytecode does not match the current build');
       }
-    } catch (error) {
-      console.warn('Could not parse NFT ID from event:', error.message);
-      console.log('NFT minted successfully, but could not determine the NFT ID');
     }
   } catch (error) {
-    console.error('Error minting initial NFT:', error.message);
-    console.log('Continuing with deployment process...');
+    return { problems, error: error.message };
   }
   
-  return {
-    address: contractAddress,
-    chainId: Number(chainId),
-    contract: contract,
-    isExisting: false
-  };
+  return { problems, error: null };
 }
 
-// ======================================================================
-// SECTION 3: CROSS-CHAIN CONFIGURATION
-// ======================================================================
-
 /**
- * Configure cross-chain messaging between all deployed contracts
- * This is a critical step that enables tokens to be bridged between networks
+ * Check if a deployment already exists for a network
+ * This prevents redeploying to networks that already have contracts.
+ * The deployment is validated on-chain; any problems are listed in `problems`,
+ * and `validationError` is set if the checks could not be completed.
  * 
- * @param {Array<Object>} deployments - Array of deployment objects
- * @returns {Promise<void>}
+ * @param {string} networkName - Network name
+ * @param {Object} logger - console, or a logger from createPrefixedLogger
+ * @returns {Promise<Object|null>} Existing deployment or null if not found
+ */
+async function checkExistingDeployment(networkName, logger = console) {
+  const network = networks[networkName];
+  
+  try {
+    const deploymentInfo = readRecordedDeployment(networkName);
+    if (!deploymentInfo) {
+      return null;
+    }
+    
+    logger.log(`Existing deployment found for ${network.name}`);
+    
+    // Setup provider to get contract instance
+    const provider = createProvider(network);
+    const wallet = await getSigner(provider);
+    
+    // Create contract instance
+    const contract = new ethers.Contract(
+      deploymentInfo.address,
+      deploymentInfo.abi,
+      wallet
+    );
+    
+    const { problems, error } = await validateDeployment(provider, deploymentInfo);
+    
+    return {
+      networkName,
+      address: deploymentInfo.address,
+      chainId: deploymentInfo.chainId,
+      contract: contract,
+      isExisting: true,
+      problems,
+      validationError: error
+    };
+  } catch (error) {
+    logger.warn(`Error reading existing deployment for ${network.name}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Load existing deployments of networks outside the current selection
+ * These are not deployed to, but take part in cross-chain configuration so
+ * that a newly deployed subset is wired up to the chains that already exist.
+ * 
+ * @param {Array<string>} selectedNetworks - Network names selected for deployment
+ * @returns {Promise<Array<Object>>} Existing peer deployments
+ */
+async function loadPeerDeployments(selectedNetworks) {
+  const peers = [];
+  
+  for (const networkName of getNetworkNames()) {
+    if (selectedNetworks.includes(networkName)) {
+      continue;
+    }
+    
+    const deployment = await checkExistingDeployment(networkName);
+    if (!deployment) {
+      continue;
+    }
+    
+    if (deployment.validationError) {
+      console.warn(`Not including ${networkName} as a peer, its deployment could not be validated: ${deployment.validationError}`);
+      continue;
+    }
+    
+    if (deployment.problems.length > 0) {
+      console.warn(`Not including ${networkName} as a peer, its deployment failed validation:`);
+      deployment.problems.forEach(problem => console.warn(`  - ${problem}`));
+      continue;
+    }
+    
+    console.log(`Including ${networkName} as a peer at ${deployment.address}`);
+    peers.push({ ...deployment, isPeer: true });
+  }
+  
+  return peers;
+}
+
+/**
+ * Load the compiled MyNFT ABI and bytecode from the build directory
+ * 
+ * @param {Object} options - Load options
+ * @param {boolean} options.quiet - Do not log when the build output is missing
+ * @returns {Object|null} ABI, bytecode and build provenance, or null if the build output is missing
+ */
+function loadContractArtifacts({ quiet = false } = {}) {
+  // Find ABI and bytecode files
+  const files = fs.existsSync(BUILD_DIR) ? fs.readdirSync(BUILD_DIR) : [];
+  const abiFile = files.find(file => file.includes('MyNFT.abi'));
+  const binFile = files.find(file => file.includes('MyNFT.bin'));
+  
+  if (!abiFile || !binFile) {
+    if (!quiet) {
+      console.error('ABI or bytecode files not found after compilation.');
+    }
+    return null;
+  }
+  
+  const buildInfo = readBuildInfo();
+  
+  return {
+    abi: JSON.parse(fs.readFileSync(path.join(BUILD_DIR, abiFile), 'utf8')),
+    bytecode: '0x' + fs.readFileSync(path.join(BUILD_DIR, binFile), 'utf8'),
+    build: buildInfo && {
+      compiler: buildInfo.compiler,
+      optimizer: buildInfo.optimizer,
+      sourceHash: buildInfo.sourceHash
+    }
+  };
+}
+
+/**
+ * Build the creation bytecode of MyNFT, including its constructor arguments
+ * 
+ * @param {Object} artifacts - Compiled ABI and bytecode
+ * @param {string} messageOwner - Address that will own the cross-chain configuration
+ * @returns {string} Hex encoded init code
+ */
+function getInitCode(artifacts, messageOwner) {
+  const factory = new ethers.ContractFactory(artifacts.abi, artifacts.bytecode);
+  return ethers.concat([artifacts.bytecode, factory.interface.encodeDeploy([messageOwner])]);
+}
+
+// Deterministic deployment proxy available at the same address on most EVM chains.
+// Networks without it can set `create2Factory` in network.config.js.
+const CREATE2_FACTORY = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+
+// Salt used for CREATE2 deployments unless --salt or CREATE2_SALT is given
+const DEFAULT_CREATE2_SALT = 'MyNFT';
+
+/**
+ * Turn a salt option into the 32-byte salt passed to the CREATE2 factory
+ * A 32-byte hex string is used as is, anything else is hashed.
+ * 
+ * @param {string} salt - Salt from the command line or environment
+ * @returns {string} 32-byte hex salt
+ */
+function normalizeSalt(salt) {
+  return ethers.isHexString(salt, 32) ? salt : ethers.id(salt);
+}
+
+/**
+ * Work out where a CREATE2 deployment of MyNFT will land on a network
+ * The address depends on the factory, the salt and the init code. The init code
+ * includes the message owner, so nobody else can claim the address with
+ * different ownership.
+ * 
+ * @param {string} networkName - Network name
+ * @param {Object} artifacts - Compiled ABI and bytecode
+ * @param {string} messageOwner - Address that will own the cross-chain configuration
+ * @param {string} salt - 32-byte hex salt
+ * @returns {Object} Factory address, salt, init code and the resulting contract address
+ */
+function getCreate2Deployment(networkName, artifacts, messageOwner, salt) {
+  const factory = networks[networkName].create2Factory || CREATE2_FACTORY;
+  const initCode = getInitCode(artifacts, messageOwner);
+  
+  return {
+    factory,
+    salt,
+    initCode,
+    address: ethers.getCreate2Address(factory, salt, ethers.keccak256(initCode))
+  };
+}
+
+/**
+ * Deploy MyNFT through the CREATE2 factory
+ * If the deterministic address is already occupied the deployment there is
+ * used instead. Same factory, salt and init code can only produce this contract.
+ * 
+ * @param {string} networkName - Network name
+ * @param {Object} journal - Network journal
+ * @param {Object} wallet - Deployer wallet
+ * @param {Object} artifacts - Compiled ABI and bytecode
+ * @param {number} chainId - Chain ID of the network
+ * @param {Object} report - Summary entry for the network
+ * @param {string} salt - 32-byte hex salt
+ * @param {Object} logger - console, or a logger from createPrefixedLogger
+ * @returns {Promise<Object>} Deployed contract instance
+ */
+async function deployContractCreate2(networkName, journal, wallet, artifacts, chainId, report, salt, logger = console) {
+  const provider = wallet.provider;
+  const create2 = getCreate2Deployment(networkName, artifacts, wallet.address, salt);
+  const create2Details = { factory: create2.factory, salt: create2.salt };
+  const messageOwner = wallet.address;
+  
+  logger.log(`CREATE2 factory: ${create2.factory}`);
+  logger.log(`CREATE2 salt: ${create2.salt}`);
+  logger.log(`Deterministic address: ${create2.address}`);
+  
+  if (await provider.getCode(create2.factory) === '0x') {
+    throw new Error(`CREATE2 factory ${create2.factory} is not deployed on ${networkName}. Set create2Factory in network.config.js.`);
+  }
+  
+  if (await provider.getCode(create2.address) !== '0x') {
+    logger.log(`Address ${create2.address} is already occupied by this build, using the existing contract.`);
+    completeStep(networkName, journal, 'deployed', { address: create2.address, chainId, txHash: null, messageOwner, create2: create2Details });
+    return new ethers.Contract(create2.address, artifacts.abi, wallet);
+  }
+  
+  logger.log('Deploying MyNFT contract through the CREATE2 factory...');
+  let tx;
+  try {
+    tx = await sendTransaction(wallet, networks[networkName], {
+      to: create2.factory,
+      data: ethers.concat([create2.salt, create2.initCode])
+    }, 'deployment', logger);
+  } catch (error) {
+    if (error.code === 'UNSIGNED_TRANSACTION') {
+      recordPendingTransaction(networkName, journal, 'deployed', { txHash: null, address: create2.address, messageOwner, create2: create2Details });
+    }
+    throw error;
+  }
+  
+  recordPendingTransaction(networkName, journal, 'deployed', { txHash: tx.hash, address: create2.address, messageOwner, create2: create2Details });
+  logger.log(`Transaction hash: ${tx.hash}`);
+  logger.log('Waiting for deployment...');
+  
+  const receipt = await waitForTransaction(tx, logger);
+  if (await provider.getCode(create2.address) === '0x') {
+    throw new Error(`CREATE2 deployment transaction ${receipt.hash} did not create a contract at ${create2.address}`);
+  }
+  
+  logger.log(`Contract deployed to: ${create2.address}`);
+  addTransactionCost(report, receipt);
+  completeStep(networkName, journal, 'deployed', {
+    address: create2.address,
+    chainId,
+    txHash: receipt.hash,
+    gasUsed: receipt.gasUsed.toString(),
+    fee: receipt.fee.toString(),
+    messageOwner,
+    create2: create2Details
+  });
+  
+  return new ethers.Contract(create2.address, artifacts.abi, wallet);
+}
+
+/**
+ * Send the deployment transaction, or finish one a previous run already sent
+ * 
+ * @param {string} networkName - Network name
+ * @param {Object} journal - Network journal
+ * @param {Object} wallet - Deployer wallet
+ * @param {Object} artifacts - Compiled ABI and bytecode
+ * @param {number} chainId - Chain ID of the network
+ * @param {Object} report - Summary entry for the network
+ * @param {Object} options - Parsed command line options
+ * @param {Object} logger - console, or a logger from createPrefixedLogger
+ * @returns {Promise<Object>} Deployed contract instance
+ */
+async function deployContract(networkName, journal, wallet, artifacts, chainId, report, options = {}, logger = console) {
+  const { abi, bytecode } = artifacts;
+  
+  if (journal.pending && journal.pending.step === 'deployed') {
+    const { txHash } = journal.pending;
+    let receipt = null;
+    if (txHash) {
+      logger.log(`Found unconfirmed deployment transaction ${txHash} from a previous run, waiting for it...`);
+      receipt = await waitForPendingTransaction(wallet.provider, txHash);
+    } else {
+      logger.log(`Found a deployment transaction exported for offline signing, checking ${journal.pending.address}...`);
+    }
+    
+    // CREATE2 deployments are calls to the factory and exported transactions
+    // have no receipt here, so their address comes from the journal
+    const address = (receipt && receipt.contractAddress) || ((receipt || !txHash) && journal.pending.address);
+    if (address && await wallet.provider.getCode(address) !== '0x') {
+      logger.log(`Contract deployed to: ${address}`);
+      if (receipt) {
+        addTransactionCost(report, receipt);
+      }
+      completeStep(networkName, journal, 'deployed', {
+        address,
+        chainId,
+        txHash: receipt ? receipt.hash : null,
+        gasUsed: receipt ? receipt.gasUsed.toString() : null,
+        fee: receipt ? receipt.fee.toString() : null,
+        messageOwner: journal.pending.messageOwner,
+        create2: journal.pending.create2
+      });
+      return new ethers.Contract(address, abi, wallet);
+    }
+    
+    if (txHash) {
+      logger.warn('Previous deployment transaction was dropped or reverted, deploying again.');
+    } else {
+      logger.warn('The exported deployment transaction has not been mined yet, exporting it again.');
+    }
+  }
+  
+  if (options.create2) {
+    return deployContractCreate2(networkName, journal, wallet, artifacts, chainId, report, options.salt, logger);
+  }
+  
+  // Deploy contract
+  logger.log('Deploying MyNFT contract...');
+  const factory = new ethers.ContractFactory(abi, bytecode, wallet);
+  let tx;
+  try {
+    tx = await sendTransaction(wallet, networks[networkName], await factory.getDeployTransaction(wallet.address), 'deployment', logger);
+  } catch (error) {
+    // An exported transaction has no hash yet, but its nonce fixes the contract address
+    if (error.code === 'UNSIGNED_TRANSACTION') {
+      const address = ethers.getCreateAddress({ from: wallet.address, nonce: error.transaction.nonce });
+      recordPendingTransaction(networkName, journal, 'deployed', { txHash: null, address, messageOwner: wallet.address });
+    }
+    throw error;
+  }
+  const expectedAddress = ethers.getCreateAddress({ from: tx.from, nonce: tx.nonce });
+  
+  recordPendingTransaction(networkName, journal, 'deployed', { txHash: tx.hash, address: expectedAddress, messageOwner: wallet.address });
+  logger.log(`Transaction hash: ${tx.hash}`);
+  logger.log('Waiting for deployment...');
+  
+  const receipt = await waitForTransaction(tx, logger);
+  const contractAddress = receipt.contractAddress;
+  
+  logger.log(`Contract deployed to: ${contractAddress}`);
+  addTransactionCost(report, receipt);
+  completeStep(networkName, journal, 'deployed', {
+    address: contractAddress,
+    chainId,
+    txHash: receipt.hash,
+    gasUsed: receipt.gasUsed.toString(),
+    fee: receipt.fee.toString(),
+    messageOwner: wallet.address
+  });
+  
+  return new ethers.Contract(contractAddress, abi, wallet);
+}
+
+/**
+ * Save deployment information for both backend scripts and the frontend
+ * 
+ * @param {string} networkName - Network name
+ * @param {Object} deployment - Address, chain ID, ABI, build provenance, constructor arguments, CREATE2 details, registry chain config and whether it was imported
+ * @param {Object} logger - console, or a logger from createPrefixedLogger
+ */
+function saveDeploymentInfo(networkName, { address, chainId, abi, build, messageOwner, create2, chainConfig, imported = false }, logger = console) {
+  const network = networks[networkName];
+  
+  // Save deployment info
+  const deploymentDir = path.join(DEPLOYMENTS_DIR, network.name);
+  if (!fs.existsSync(deploymentDir)) {
+    fs.mkdirSync(deploymentDir, { recursive: true });
+  }
+  
+  const deploymentInfo = {
+    address: address,
+    abi: abi,
+    network: network.name,
+    chainId: Number(chainId),
+    deployedAt: new Date().toISOString(),
+    build: build // Compiler, optimizer settings and source hash of the deployed build
+  };
+  
+  if (messageOwner) {
+    deploymentInfo.constructorArguments = { messageOwner }; // Needed for explorer verification
+  }
+  
+  if (create2) {
+    deploymentInfo.create2 = create2; // Factory and salt the address was derived from
+  }
+  
+  if (imported) {
+    deploymentInfo.imported = true; // Deployed by another route and added with "deploy.js import"
+  }
+  
+  fs.writeFileSync(
+    path.join(deploymentDir, 'MyNFT.json'),
+    JSON.stringify(deploymentInfo, null, 2)
+  );
+  
+  fs.writeFileSync(
+    path.join(deploymentDir, '.chainId'),
+    chainId.toString()
+  );
+  
+  // Also save to a frontend-accessible location
+  const frontendConfigPath = getFrontendConfigPath();
+  const frontendConfigDir = path.dirname(frontendConfigPath);
+  if (!fs.existsSync(frontendConfigDir)) {
+    fs.mkdirSync(frontendConfigDir, { recursive: true });
+  }
+  
+  // Update or create the deployments.json file
+  let frontendDeployments = {};
+  
+  // Read existing deployments if file exists
+  if (fs.existsSync(frontendConfigPath)) {
+    try {
+      const existingConfig = fs.readFileSync(frontendConfigPath, 'utf8');
+      frontendDeployments = JSON.parse(existingConfig);
+    } catch (error) {
+      logger.warn('Error reading existing frontend deployments:', error.message);
+    }
+  }
+  
+  // Update with new deployment
+  // Use the existing chainConfig for additional information
+  const chainIdKey = Number(chainId);
+  frontendDeployments[chainIdKey] = {
+    address: address,
+    network: network.name,
+    chainId: chainIdKey,
+    deployedAt: new Date().toISOString(),
+    abi: abi, // Include ABI for the frontend and scripts
+    rpcUrl: network.rpcUrl, // Include RPC URL for the frontend
+    blockExplorer: chainConfig?.explorer || network.blockExplorer || '', // Get block explorer from chain config
+    build: build
+  };
+  
+  // Write updated deployments
+  fs.writeFileSync(
+    frontendConfigPath,
+    JSON.stringify(frontendDeployments, null, 2)
+  );
+  
+  logger.log(`Deployment information saved to ${deploymentDir}/MyNFT.json`);
+  logger.log(`Frontend deployment config updated at ${frontendConfigPath}`);
+}
+
+/**
+ * Work out the constructor arguments a deployment was created with
+ * Deployments made before they were recorded have them read back from the
+ * end of their deployment transaction.
+ * 
+ * @param {Object} deployedStep - The "deployed" journal step
+ * @param {Object} artifacts - Compiled ABI and bytecode
+ * @param {Object} provider - Provider of the network
+ * @returns {Promise<string|null>} ABI-encoded constructor arguments, or null if unknown
+ */
+async function getConstructorArguments(deployedStep, artifacts, provider) {
+  const contractInterface = new ethers.Interface(artifacts.abi);
+  
+  if (deployedStep.messageOwner) {
+    return contractInterface.encodeDeploy([deployedStep.messageOwner]);
+  }
+  
+  if (!deployedStep.txHash) {
+    return null;
+  }
+  
+  const tx = await provider.getTransaction(deployedStep.txHash);
+  const bytecodeStart = tx ? tx.data.indexOf(artifacts.bytecode.slice(2)) : -1;
+  if (bytecodeStart === -1) {
+    return null;
+  }
+  return '0x' + tx.data.slice(bytecodeStart + artifacts.bytecode.length - 2);
+}
+
+/**
+ * Write what a block explorer needs to verify a deployment
+ * The bundle is only written when the deployment came from the current build,
+ * as the Standard JSON input and compiler version describe that build.
+ * 
+ * @param {string} networkName - Network name
+ * @param {Object} deployment - Address, chain ID and "deployed" journal step
+ * @param {Object} artifacts - Compiled ABI, bytecode and build provenance
+ * @param {Object} provider - Provider of the network
+ * @param {Object} logger - console, or a logger from createPrefixedLogger
+ * @returns {Promise<string|null>} Path of the bundle, or null if it could not be written
+ */
+async function writeVerificationBundle(networkName, { address, chainId, deployedStep }, artifacts, provider, logger = console) {
+  const network = networks[networkName];
+  const deploymentDir = path.join(DEPLOYMENTS_DIR, network.name);
+  const deployment = readDeploymentFile(networkName);
+  const buildInfo = readBuildInfo();
+  
+  if (!buildInfo || !fs.existsSync(STANDARD_INPUT_FILE) ||
+      !deployment || !deployment.build || deployment.build.sourceHash !== buildInfo.sourceHash) {
+    logger.log('Verification bundle not written: the deployment was not made from the current build.');
+    return null;
+  }
+  
+  const constructorArguments = await getConstructorArguments(deployedStep, artifacts, provider);
+  if (constructorArguments === null) {
+    logger.log('Verification bundle not written: the constructor arguments of this deployment are unknown.');
+    return null;
+  }
+  
+  const standardInputFile = path.join(deploymentDir, 'MyNFT.standard-input.json');
+  fs.copyFileSync(STANDARD_INPUT_FILE, standardInputFile);
+  
+  const bundle = {
+    network: network.name,
+    chainId: Number(chainId),
+    address,
+    contractName: `${CONTRACT_SOURCE}:${CONTRACT_NAME}`,
+    compilerVersion: buildInfo.compilerVersion,
+    optimizer: buildInfo.optimizer,
+    constructorArguments, // ABI-encoded, as explorers expect them
+    sourceHash: buildInfo.sourceHash,
+    standardJsonInput: path.basename(standardInputFile)
+  };
+  
+  const bundleFile = path.join(deploymentDir, 'MyNFT.verification.json');
+  fs.writeFileSync(bundleFile, JSON.stringify(bundle, null, 2));
+  return bundleFile;
+}
+
+/**
+ * Add a MyNFT contract deployed by another route to the deployment set
+ * The contract's runtime bytecode must match the current build. Its deployment
+ * file and frontend entry are written as for a normal deployment, and its
+ * journal starts after the initial mint, so the next steps of the run only
+ * configure it alongside the other deployments.
+ * 
+ * @param {string} networkName - Network name
+ * @param {string} address - Contract address
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<boolean>} True if the contract was imported (or, with --plan, could be)
+ */
+async function importDeployment(networkName, address, options = {}) {
+  const network = networks[networkName];
+  console.log(`\n=== Importing MyNFT at ${address} on ${network.name} ===`);
+  
+  const recorded = readRecordedDeployment(networkName);
+  if (recorded && recorded.address.toLowerCase() === address.toLowerCase()) {
+    console.log(`${address} is already the recorded deployment for ${network.name}.`);
+    return true;
+  }
+  if (recorded && options.resetStep !== 'deployed') {
+    console.error(`${network.name} already has a deployment at ${recorded.address}. Re-run with --reset-step deployed to archive it and import ${address} instead.`);
+    return false;
+  }
+  
+  const provider = createProvider(network);
+  try {
+    const chainId = Number((await provider.getNetwork()).chainId);
+    if (chainId !== network.chainId) {
+      console.error(`The RPC of ${network.name} reports chain ID ${chainId}, network.config.js expects ${network.chainId}.`);
+      return false;
+    }
+    
+    const { problems, error } = await validateDeployment(provider, { address, chainId });
+    if (error) {
+      console.error(`Could not validate ${address}: ${error}`);
+      return false;
+    }
+    if (problems.length > 0) {
+      console.error(`${address} is not a deployment of the current MyNFT build:`);
+      problems.forEach(problem => console.error(`  - ${problem}`));
+      return false;
+    }
+    console.log('Runtime bytecode matches the current build.');
+    
+    const chainConfig = getChainConfig(chainId);
+    if (!chainConfig || !chainConfig.message) {
+      console.warn(`No message contract known for chainId ${chainId}, ${network.name} will be skipped during configuration.`);
+    }
+    
+    if (options.plan) {
+      console.log(`${address} would be imported for ${network.name}. No files were written.`);
+      return true;
+    }
+    
+    const journal = loadJournal(networkName);
+    if (recorded) {
+      const archivePath = archiveDeploymentFile(networkName, 'replaced');
+      if (archivePath) {
+        console.log(`Previous deployment file archived to ${archivePath}`);
+      }
+    }
+    resetJournalStep(journal, 'deployed');
+    
+    const artifacts = loadContractArtifacts();
+    saveDeploymentInfo(networkName, {
+      address,
+      chainId,
+      abi: artifacts.abi,
+      build: artifacts.build,
+      chainConfig,
+      imported: true
+    });
+    
+    // The contract is live already: nothing is left to deploy or mint
+    completeStep(networkName, journal, 'deployed', { address, chainId, imported: true });
+    completeStep(networkName, journal, 'saved');
+    completeStep(networkName, journal, 'minted', { skipped: true });
+    
+    console.log(`Imported ${address} for ${network.name}.`);
+    return true;
+  } finally {
+    provider.destroy();
+  }
+}
+
+/**
+ * Work out the initial mint from --mint, --mint-to and --no-mint
+ * 
+ * @param {Object} options - Parsed command line options
+ * @param {string} deployer - Deployer address, the default recipient
+ * @returns {Object} Number of NFTs to mint and their recipient
+ */
+function getMintSettings(options, deployer) {
+  return {
+    count: options.noMint ? 0 : options.mint,
+    to: options.mintTo ? ethers.getAddress(options.mintTo) : deployer
+  };
+}
+
+/**
+ * Find the ID of the NFT minted by a transaction
+ * 
+ * @param {Object} contract - MyNFT contract instance
+ * @param {Object} receipt - Receipt of a mint transaction
+ * @returns {string|null} Token ID, or null if the receipt has no NFTMinted event
+ */
+function getMintedTokenId(contract, receipt) {
+  const event = receipt.logs
+    .map(log => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .find(event => event.name === 'NFTMinted');
+  
+  return event ? event.args.tokenId.toString() : null;
+}
+
+/**
+ * Describe minted token IDs for the summary
+ * 
+ * @param {Array<string>} tokenIds - Token IDs
+ * @returns {string} IDs like "#431130000, #431130001"
+ */
+function formatTokenIds(tokenIds) {
+  return tokenIds.map(tokenId => `#${tokenId}`).join(', ');
+}
+
+/**
+ * Write the initial mint to the unsigned transactions file
+ * The contract cannot report the IDs of NFTs that are not minted yet, so they
+ * are predicted from nextNftId to transfer them to --mint-to.
+ * 
+ * @param {string} networkName - Network name
+ * @param {Object} journal - Network journal
+ * @param {Object} contract - MyNFT contract instance connected to the unsigned signer
+ * @param {Object} report - Summary entry for the network
+ * @param {Object} mint - Number of NFTs to mint and their recipient
+ * @param {Object} logger - console, or a logger from createPrefixedLogger
+ * @returns {Promise<void>}
+ */
+async function exportInitialMint(networkName, journal, contract, report, { count, to }, logger = console) {
+  const deployer = await contract.runner.getAddress();
+  const firstTokenId = await contract.nextNftId();
+  const tokenIds = Array.from({ length: count }, (_, index) => (firstTokenId + BigInt(index)).toString());
+  
+  const exportTransaction = async (txRequest, label) => {
+    try {
+      await sendTransaction(contract.runner, networks[networkName], txRequest, label, logger);
+    } catch (error) {
+      if (error.code !== 'UNSIGNED_TRANSACTION') {
+        throw error;
+      }
+      logger.log(error.message);
+    }
+  };
+  
+  for (const tokenId of tokenIds) {
+    await exportTransaction(await contract.mint.populateTransaction(), 'mint');
+    if (to !== deployer) {
+      // Mints of other accounts in between would shift these IDs. The token
+      // does not exist yet, so the gas limit cannot be estimated.
+      const transfer = await contract.transferFrom.populateTransaction(deployer, to, tokenId);
+      await exportTransaction({ ...transfer, gasLimit: FALLBACK_GAS.transfer }, 'transfer');
+    }
+  }
+  
+  recordPendingTransaction(networkName, journal, 'minted', { txHash: null, to, tokenIds });
+  report.mintedTokenIds = tokenIds;
+  report.mint = `exported for signing (${formatTokenIds(tokenIds)})`;
+}
+
+/**
+ * Mint the initial NFTs, to the deployer unless --mint-to names another recipient
+ * NFTs for another recipient are minted to the deployer and then transferred.
+ * 
+ * Progress is kept with the pending journal transaction. A transaction left
+ * unconfirmed by a previous run is waited for rather than sent again, so each
+ * NFT is minted exactly once.
+ * 
+ * @param {string} networkName - Network name
+ * @param {Object} journal - Network journal
+ * @param {Object} contract - MyNFT contract instance connected to the deployer
+ * @param {Object} report - Summary entry for the network
+ * @param {Object} options - Parsed command line options
+ * @param {Object} logger - console, or a logger from createPrefixedLogger
+ * @returns {Promise<void>}
+ */
+async function mintInitialNFTs(networkName, journal, contract, report, options = {}, logger = console) {
+  const deployer = await contract.runner.getAddress();
+  const { count, to } = getMintSettings(options, deployer);
+  
+  if (count === 0) {
+    logger.log('\nInitial mint disabled with --no-mint.');
+    completeStep(networkName, journal, 'minted', { tokenIds: [], skipped: true });
+    report.mint = 'skipped';
+    return;
+  }
+  
+  const pending = journal.pending && journal.pending.step === 'minted' ? journal.pending : null;
+  
+  if (pending && !pending.txHash) {
+    // There is no hash to check an exported transaction by
+    logger.log('The initial mint was exported for offline signing by a previous run, assuming it was sent.');
+    logger.log('Use --reset-step minted to mint again.');
+    completeStep(networkName, journal, 'minted', { txHash: null, unsigned: true, to: pending.to, tokenIds: pending.tokenIds || [] });
+    report.mintedTokenIds = pending.tokenIds || [];
+    report.mint = 'exported earlier';
+    return;
+  }
+  
+  logger.log(`\nMinting ${count} initial NFT${count === 1 ? '' : 's'} to ${to}...`);
+  
+  // NFTs delivered so far, and one that still has to be transferred to the recipient
+  const progress = {
+    to,
+    tokenIds: pending && pending.tokenIds ? [...pending.tokenIds] : [],
+    txHashes: pending && pending.txHashes ? [...pending.txHashes] : [],
+    undelivered: pending ? pending.undelivered || null : null
+  };
+  
+  const applyReceipt = (action, receipt) => {
+    addTransactionCost(report, receipt);
+    progress.txHashes.push(receipt.hash);
+    
+    if (action === 'transfer') {
+      logger.log(`Transferred NFT #${progress.undelivered} to ${to}`);
+      progress.tokenIds.push(progress.undelivered);
+      progress.undelivered = null;
+      return;
+    }
+    
+    const tokenId = getMintedTokenId(contract, receipt);
+    if (tokenId === null) {
+      throw new Error(`Mint transaction ${receipt.hash} has no NFTMinted event`);
+    }
+    logger.log(`Successfully minted NFT #${tokenId}`);
+    if (to === deployer) {
+      progress.tokenIds.push(tokenId);
+    } else {
+      progress.undelivered = tokenId;
+    }
+  };
+  
+  try {
+    if (checkSignerConfig().backend === 'unsigned') {
+      await exportInitialMint(networkName, journal, contract, report, { count, to }, logger);
+      return;
+    }
+    
+    if (pending) {
+      const action = pending.action || 'mint';
+      logger.log(`Found unconfirmed ${action} transaction ${pending.txHash} from a previous run, waiting for it...`);
+      const receipt = await waitForPendingTransaction(contract.runner.provider, pending.txHash);
+      if (receipt) {
+        applyReceipt(action, receipt);
+      } else {
+        logger.warn(`Previous ${action} transaction was dropped or reverted, sending it again.`);
+      }
+    }
+    
+    while (progress.tokenIds.length < count) {
+      const action = progress.undelivered === null ? 'mint' : 'transfer';
+      const txRequest = action === 'mint'
+        ? await contract.mint.populateTransaction()
+        : await contract.transferFrom.populateTransaction(deployer, to, progress.undelivered);
+      
+      const tx = await sendTransaction(contract.runner, networks[networkName], txRequest, action, logger);
+      recordPendingTransaction(networkName, journal, 'minted', { txHash: tx.hash, action, ...progress });
+      logger.log(`${action === 'mint' ? 'Mint' : 'Transfer'} transaction hash: ${tx.hash}`);
+      logger.log('Waiting for confirmation...');
+      
+      applyReceipt(action, await waitForTransaction(tx, logger));
+    }
+    
+    completeStep(networkName, journal, 'minted', { to, tokenIds: progress.tokenIds, txHashes: progress.txHashes });
+    report.mintedTokenIds = progress.tokenIds;
+    report.mint = `minted ${formatTokenIds(progress.tokenIds)}`;
+  } catch (error) {
+    logger.error('Error minting initial NFTs:', error.message);
+    logger.log('Continuing with deployment process...');
+    report.mintedTokenIds = progress.tokenIds;
+    report.mint = `failed: ${describeError(error)}`;
+  }
+}
+
+/**
+ * Deploy the contract to a specific network if it doesn't already exist
+ * This function works through the network's journal steps:
+ * 1. deployed - Deploying the contract if there is no valid existing deployment
+ * 2. saved    - Saving deployment information for both backend and frontend
+ * 3. minted   - Minting the initial NFTs (--mint, --mint-to, --no-mint)
+ * Steps already completed by a previous run are skipped.
+ * 
+ * @param {string} networkName - Network name from network.config.js
+ * @param {Object} options - Parsed command line options
+ * @param {Object} report - Summary entry for the network, filled in as steps run
+ * @param {Object} logger - console, or a logger from createPrefixedLogger
+ * @returns {Promise<Object|null>} Deployment information or null if failed
+ */
+async function deployToNetwork(networkName, options = {}, report = createNetworkReport(networkName), logger = console) {
+  const network = networks[networkName];
+  logger.log(`\n=== Processing ${network.name} ===`);
+  
+  const journal = loadJournal(networkName);
+  
+  if (options.resetStep === 'deployed') {
+    const archivePath = archiveDeploymentFile(networkName, 'reset');
+    if (archivePath) {
+      logger.log(`Deployment file archived to ${archivePath}`);
+    }
+    resetJournalStep(journal, 'deployed');
+    saveJournal(networkName, journal);
+    logger.log('Journal reset, deploying a new contract.');
+  }
+
+  // Check if deployment already exists
+  let existingDeployment = await checkExistingDeployment(networkName, logger);
+  
+  // An unreachable or rate-limited RPC is no reason to replace a deployment,
+  // even with --redeploy-stale
+  if (existingDeployment && existingDeployment.validationError) {
+    logger.error(`Could not validate the existing deployment at ${existingDeployment.address}: ${existingDeployment.validationError}`);
+    logger.error(`Skipping ${network.name}, its deployment is left as it is. Re-run once the RPC answers.`);
+    report.status = 'skipped';
+    report.error = 'existing deployment could not be validated';
+    return null;
+  }
+  
+  if (existingDeployment && existingDeployment.problems.length > 0) {
+    logger.warn(`Existing deployment at ${existingDeployment.address} failed validation:`);
+    existingDeployment.problems.forEach(problem => logger.warn(`  - ${problem}`));
+    
+    if (!options.redeployStale) {
+      logger.error(`Skipping ${network.name}. Re-run with --redeploy-stale to replace this deployment.`);
+      report.status = 'skipped';
+      report.error = 'existing deployment failed validation';
+      return null;
+    }
+    
+    const archivePath = archiveDeploymentFile(networkName, 'stale');
+    if (archivePath) {
+      logger.log(`Stale deployment file archived to ${archivePath}`);
+    }
+    resetJournalStep(journal, 'deployed');
+    saveJournal(networkName, journal);
+    existingDeployment = null;
+    logger.log(`Redeploying to ${network.name}...`);
+  }
+  
+  if (existingDeployment && !journal.steps.deployed) {
+    // Deployed before journals existed: its files and initial mint are already done
+    completeStep(networkName, journal, 'deployed', {
+      address: existingDeployment.address,
+      chainId: existingDeployment.chainId,
+      inferred: true
+    });
+    completeStep(networkName, journal, 'saved', { inferred: true });
+    completeStep(networkName, journal, 'minted', { inferred: true });
+  }
+  
+  if (options.resetStep && options.resetStep !== 'deployed') {
+    resetJournalStep(journal, options.resetStep);
+    saveJournal(networkName, journal);
+    logger.log(`Journal step "${options.resetStep}" reset, it will run again.`);
+  }
+  
+  if (existingDeployment) {
+    logger.log(`Using existing deployment at ${existingDeployment.address}`);
+  } else if (!journal.pending) {
+    logger.log(`No existing deployment found. Deploying to ${network.name}...`);
+  }
+
+  // Setup provider and wallet
+  const provider = createProvider(network);
+  const wallet = await getSigner(provider);
+  
+  logger.log(`Using wallet address: ${wallet.address}`);
+
+  // Get chain ID
+  const providerNetwork = await provider.getNetwork();
+  const chainId = providerNetwork.chainId;
+  logger.log(`Chain ID: ${chainId}`);
+
+  // Get chain config
+  const chainConfig = getChainConfig(chainId);
+  report.chainId = Number(chainId);
+  if (!chainConfig && (!existingDeployment || !journal.steps.saved)) {
+    logger.error(`Chain configuration not found for chainId: ${chainId}. Add it to chainRegistryOverrides in network.config.js or to chain-registry.local.json.`);
+    report.status = 'failed';
+    report.error = `chain configuration not found for chainId ${chainId}`;
+    return null;
+  }
+
+  // Read contract files
+  const artifacts = loadContractArtifacts();
+  if (!artifacts) {
+    report.status = 'failed';
+    report.error = 'build output not found';
+    return null;
+  }
+  
+  let contract = existingDeployment && existingDeployment.contract;
+  if (!contract) {
+    logger.log(`Deploying to ${chainConfig.name} (${chainConfig.network})...`);
+    contract = await deployContract(networkName, journal, wallet, artifacts, Number(chainId), report, options, logger);
+  }
+  const contractAddress = await contract.getAddress();
+  
+  if (!existingDeployment) {
+    report.status = 'deployed';
+  } else {
+    report.status = journal.steps.deployed && journal.steps.deployed.imported ? 'imported' : 'reused';
+  }
+  report.address = contractAddress;
+  report.deployTxHash = journal.steps.deployed ? journal.steps.deployed.txHash || null : null;
+  
+  if (!journal.steps.saved) {
+    saveDeploymentInfo(networkName, {
+      address: contractAddress,
+      chainId: chainId,
+      abi: artifacts.abi,
+      build: artifacts.build,
+      messageOwner: journal.steps.deployed && journal.steps.deployed.messageOwner,
+      create2: journal.steps.deployed && journal.steps.deployed.create2,
+      chainConfig: chainConfig
+    }, logger);
+    completeStep(networkName, journal, 'saved');
+  }
+  
+  try {
+    const bundleFile = await writeVerificationBundle(networkName, {
+      address: contractAddress,
+      chainId,
+      deployedStep: journal.steps.deployed
+    }, artifacts, provider, logger);
+    if (bundleFile) {
+      logger.log(`Verification bundle saved to ${bundleFile}`);
+    }
+  } catch (error) {
+    logger.warn(`Could not write the verification bundle: ${error.shortMessage || error.message}`);
+  }
+  
+  if (!journal.steps.minted) {
+    await mintInitialNFTs(networkName, journal, contract, report, options, logger);
+  } else {
+    // Journals written before several NFTs could be minted hold a single tokenId
+    const { tokenId, tokenIds, skipped } = journal.steps.minted;
+    report.mintedTokenIds = tokenIds || (tokenId ? [tokenId] : []);
+    if (skipped) {
+      report.mint = 'skipped earlier';
+    } else {
+      report.mint = report.mintedTokenIds.length > 0 ? `minted ${formatTokenIds(report.mintedTokenIds)} earlier` : 'minted earlier';
+    }
+  }
+  
+  return {
+    networkName,
+    address: contractAddress,
+    chainId: Number(chainId),
+    contract: contract,
+    isExisting: Boolean(existingDeployment),
+    report
+  };
+}
+
+// ======================================================================
+// SECTION 3: CROSS-CHAIN CONFIGURATION
+// ======================================================================
+
+// configureClient takes confirmations as uint16
+const MAX_CONFIRMATIONS = 65535;
+
+/**
+ * Validate the confirmation settings in network.config.js
+ * 
+ * @throws {Error} Listing every invalid default or override
+ */
+function validateConfirmationSettings() {
+  const problems = [];
+  const networkNames = getNetworkNames();
+  const isValid = value => Number.isInteger(value) && value >= 1 && value <= MAX_CONFIRMATIONS;
+  
+  for (const networkName of networkNames) {
+    const network = networks[networkName];
+    
+    if (network.confirmations !== undefined && !isValid(network.confirmations)) {
+      problems.push(`${networkName}: confirmations must be an integer between 1 and ${MAX_CONFIRMATIONS}, got ${network.confirmations}`);
+    }
+    
+    for (const [destName, value] of Object.entries(network.confirmationOverrides || {})) {
+      if (!networkNames.includes(destName)) {
+        problems.push(`${networkName}: confirmation override for unknown network "${destName}"`);
+      } else if (destName === networkName) {
+        problems.push(`${networkName}: confirmation override cannot target the network itself`);
+      } else if (!isValid(value)) {
+        problems.push(`${networkName} -> ${destName}: confirmations must be an integer between 1 and ${MAX_CONFIRMATIONS}, got ${value}`);
+      }
+    }
+  }
+  
+  if (problems.length > 0) {
+    throw new Error(`Invalid confirmation settings in network.config.js:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Build the configureClient arrays for one deployment
+ * Every other deployment becomes a peer chain of the deployment at `index`,
+ * with the confirmations network.config.js sets for that route.
+ * 
+ * @param {Array<Object>} deployments - Array of deployment objects
+ * @param {number} index - Index of the deployment being configured
+ * @returns {Object} Peer chain IDs, peer addresses and confirmation counts
+ */
+function buildClientConfig(deployments, index) {
+  const otherChainIds = [];
+  const otherAddresses = [];
+  const confirmations = [];
+  
+  // Collect information about all other deployments
+  for (let j = 0; j < deployments.length; j++) {
+    if (index !== j) {
+      otherChainIds.push(deployments[j].chainId);
+      otherAddresses.push(deployments[j].address);
+      confirmations.push(getRouteConfirmations(deployments[index].networkName, deployments[j].networkName));
+    }
+  }
+  
+  return { otherChainIds, otherAddresses, confirmations };
+}
+
+/**
+ * Read the message contract and peer routes currently set on a MessageClient
+ * 
+ * @param {Object} contract - MyNFT contract instance
+ * @param {Array<number>} chainIds - Peer chain IDs to read
+ * @returns {Promise<Object>} Current message contract and peer route per chain ID
+ */
+async function readClientConfig(contract, chainIds) {
+  const messageContract = await contract.MESSAGEv3();
+  const chains = {};
+  
+  for (const chainId of chainIds) {
+    const chain = await contract.CHAINS(chainId);
+    chains[chainId] = {
+      endpoint: chain.endpoint,
+      confirmations: Number(chain.confirmations)
+    };
+  }
+  
+  return { messageContract, chains };
+}
+
+/**
+ * Compare the desired configuration of a deployment with what is set on-chain
+ * Only peers whose address or confirmations differ are included in the call.
+ * 
+ * @param {string} messageContract - Message contract address from the chain config
+ * @param {Object} desired - Arrays from buildClientConfig
+ * @param {Object|null} current - Result of readClientConfig, or null if unknown
+ * @returns {Object} List of changes and the configureClient call to make (null if up to date)
+ */
+function diffClientConfig(messageContract, desired, current) {
+  const changes = [];
+  const call = { messageContract, chainIds: [], addresses: [], confirmations: [] };
+  
+  const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+  const describeRoute = (address, confirmations) => `${address || '<new deployment>'} (${confirmations} conf.)`;
+  
+  if (!current || !sameAddress(current.messageContract, messageContract)) {
+    changes.push({
+      setting: 'message contract',
+      current: current ? current.messageContract : 'unknown',
+      desired: messageContract
+    });
+  }
+  
+  desired.otherChainIds.forEach((chainId, index) => {
+    const address = desired.otherAddresses[index];
+    const confirmations = desired.confirmations[index];
+    const existing = current ? current.chains[chainId] : null;
+    
+    if (existing && sameAddress(existing.endpoint, address) && existing.confirmations === confirmations) {
+      return;
+    }
+    
+    let currentRoute = 'unknown';
+    if (existing) {
+      currentRoute = existing.endpoint === ethers.ZeroAddress
+        ? 'not set'
+        : describeRoute(existing.endpoint, existing.confirmations);
+    }
+    
+    changes.push({
+      setting: `chain ${chainId}`,
+      current: currentRoute,
+      desired: describeRoute(address, confirmations)
+    });
+    call.chainIds.push(chainId);
+    call.addresses.push(address);
+    call.confirmations.push(confirmations);
+  });
+  
+  return { changes, call: changes.length > 0 ? call : null };
+}
+
+/**
+ * Format rows as a plain text or Markdown table
+ * 
+ * @param {Array<Array>} columns - [title, value function] pairs
+ * @param {Array<Object>} rows - Table rows
+ * @param {Object} formatOptions - Format options
+ * @param {boolean} formatOptions.markdown - Produce a Markdown table
+ * @returns {Array<string>} Table lines
+ */
+function formatTable(columns, rows, { markdown = false } = {}) {
+  const widths = columns.map(([title, value]) =>
+    Math.max(title.length, ...rows.map(row => value(row).length))
+  );
+  const formatRow = cells => {
+    const line = cells.map((cell, index) => cell.padEnd(widths[index])).join(' | ');
+    return markdown ? `| ${line} |` : line.trimEnd();
+  };
+  const separator = markdown
+    ? `|-${widths.map(width => '-'.repeat(width)).join('-|-')}-|`
+    : widths.map(width => '-'.repeat(width)).join('-|-');
+  
+  return [
+    formatRow(columns.map(([title]) => title)),
+    separator,
+    ...rows.map(row => formatRow(columns.map(([, value]) => value(row))))
+  ];
+}
+
+/**
+ * Print a table of configuration changes
+ * 
+ * @param {Array<Object>} rows - Changes with chainId, setting, current, desired and status
+ */
+function printConfigChanges(rows) {
+  if (rows.length === 0) {
+    console.log('All deployments are already configured. No changes.');
+    return;
+  }
+  
+  const columns = [
+    ['Chain', row => String(row.chainId)],
+    ['Setting', row => row.setting],
+    ['Current', row => row.current],
+    ['New', row => row.desired],
+    ['Status', row => row.status]
+  ];
+  formatTable(columns, rows).forEach(line => console.log(line));
+}
+
+/**
+ * Configure cross-chain messaging between all deployed contracts
+ * This is a critical step that enables tokens to be bridged between networks.
+ * 
+ * The current configuration of each contract is read first, and a transaction
+ * is only sent where the message contract, peer addresses or confirmations differ.
+ * Deployments of the selected networks record the "configured" journal step;
+ * with --reset-step configured they are sent their full configuration again.
+ * With --safe-batch the calls are written to Safe batch files for the owner
+ * instead of being sent.
+ * 
+ * @param {Array<Object>} deployments - Array of deployment objects
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<void>}
+ */
+async function configureContracts(deployments, options = {}) {
+  console.log('\n=== Configuring Cross-Chain Messaging ===');
+  
+  if (deployments.length < 2) {
+    console.error('Need at least 2 deployments to configure cross-chain messaging');
+    return;
+  }
+  
+  const changeRows = [];
+  const safeBatch = options.safeBatch ? createSafeBatch('MyNFT cross-chain configuration') : null;
+  
+  // For each deployment, configure it to work with all other deployments
+  for (let i = 0; i < deployments.length; i++) {
+    const currentDeployment = deployments[i];
+    
+    console.log(`\nChecking configuration on chain ${currentDeployment.chainId}...`);
+    
+    // Get chain config
+    const report = currentDeployment.report || createNetworkReport(currentDeployment.networkName);
+    const chainConfig = getChainConfig(currentDeployment.chainId);
+    if (!chainConfig || !chainConfig.message) {
+      console.error(`Message contract address not found for chainId: ${currentDeployment.chainId}. Set it in chainRegistryOverrides in network.config.js or in chain-registry.local.json.`);
+      report.configuration = 'skipped: no message contract';
+      continue;
+    }
+    
+    // Prepare arrays for all other chains and compare them with the chain
+    const desired = buildClientConfig(deployments, i);
+    const forceFullConfig = options.resetStep === 'configured' && !currentDeployment.isPeer;
+    let current = null;
+    if (forceFullConfig) {
+      console.log('Configuration step reset, configuring every peer.');
+    } else {
+      try {
+        current = await readClientConfig(currentDeployment.contract, desired.otherChainIds);
+      } catch (error) {
+        console.warn(`Could not read current configuration, configuring every peer: ${error.message}`);
+      }
+    }
+    
+    const journal = currentDeployment.isPeer ? null : loadJournal(currentDeployment.networkName);
+    const markConfigured = txHash => {
+      if (journal) {
+        completeStep(currentDeployment.networkName, journal, 'configured', { peers: desired.otherChainIds, txHash });
+      }
+    };
+    
+    const { changes, call } = diffClientConfig(chainConfig.message, desired, current);
+    if (!call) {
+      console.log('Already configured, no transaction needed.');
+      markConfigured(null);
+      report.configuration = 'up to date';
+      continue;
+    }
+    
+    const rows = changes.map(change => ({ chainId: currentDeployment.chainId, ...change, status: 'pending' }));
+    changeRows.push(...rows);
+    
+    try {
+      console.log(`Using message contract: ${call.messageContract}`);
+      console.log(`Updating ${call.chainIds.length} peer chain(s): ${call.chainIds.join(', ') || 'none'}`);
+      
+      const txRequest = await currentDeployment.contract.configureClient.populateTransaction(
+        call.messageContract,
+        call.chainIds,
+        call.addresses,
+        call.confirmations
+      );
+      const owner = await currentDeployment.contract.MESSAGE_OWNER();
+      
+      if (safeBatch) {
+        addSafeTransaction(safeBatch, {
+          networkName: currentDeployment.networkName,
+          chainId: currentDeployment.chainId,
+          safeAddress: owner,
+          to: txRequest.to,
+          data: txRequest.data,
+          description: `configureClient on ${currentDeployment.networkName} (${currentDeployment.chainId}): ` +
+            changes.map(change => `${change.setting} ${change.current} -> ${change.desired}`).join('; ')
+        });
+        console.log(`Added to the Safe batch for ${owner}`);
+        rows.forEach(row => { row.status = 'batched'; });
+        report.configuration = 'batched for Safe';
+        continue;
+      }
+      
+      // After an ownership handoff (scripts/admin.js) the deployer can no longer configure
+      const signerAddress = await currentDeployment.contract.runner.getAddress();
+      if (owner.toLowerCase() !== signerAddress.toLowerCase()) {
+        console.error(`Configuration on chain ${currentDeployment.chainId} is owned by ${owner}, not by ${signerAddress}. The changes must be made from the owner account, run with --safe-batch to export them.`);
+        rows.forEach(row => { row.status = 'needs owner'; });
+        report.configuration = 'needs owner';
+        continue;
+      }
+      
+      const tx = await sendTransaction(
+        currentDeployment.contract.runner,
+        networks[currentDeployment.networkName],
+        txRequest,
+        'configuration'
+      );
+      
+      console.log(`Configuration transaction hash: ${tx.hash}`);
+      console.log('Waiting for confirmation...');
+      
+      const receipt = await waitForTransaction(tx);
+      console.log('Configuration completed successfully!');
+      rows.forEach(row => { row.status = 'updated'; });
+      markConfigured(receipt.hash);
+      addTransactionCost(report, receipt);
+      report.configuration = `updated ${call.chainIds.length} peer(s)`;
+    } catch (error) {
+      if (error.code === 'UNSIGNED_TRANSACTION') {
+        console.log(error.message);
+        rows.forEach(row => { row.status = 'exported'; });
+        report.configuration = 'exported for signing';
+        continue;
+      }
+      
+      console.error(`Error configuring contract on chain ${currentDeployment.chainId}:`, error.message);
+      rows.forEach(row => { row.status = 'failed'; });
+      report.configuration = 'failed';
+    }
+  }
+  
+  console.log('\n=== Configuration Changes ===');
+  printConfigChanges(changeRows);
+  
+  if (safeBatch) {
+    const files = writeSafeBatches(safeBatch);
+    if (files.length === 0) {
+      console.log('\nNo configuration calls needed, no Safe batch written.');
+    } else {
+      console.log('\nSafe batches written (import them in the Safe Transaction Builder):');
+      files.forEach(file => console.log(`  ${file}`));
+    }
+  }
+}
+
+// ======================================================================
+// SECTION 4: DEPLOYMENT PLAN (DRY RUN)
+// ======================================================================
+
+// Rough gas figures for calls that cannot be estimated because the
+// contract they target has not been deployed yet
+const FALLBACK_GAS = {
+  mint: 400000n,
+  transfer: 120000n,
+  configureBase: 150000n,
+  configurePerChain: 50000n
+};
+
+/**
+ * Format a gas amount and its cost in the network's native currency
+ * 
+ * @param {bigint} gas - Gas amount
+ * @param {bigint|null} gasPrice - Gas price in wei
+ * @param {Object} network - Network configuration
+ * @returns {string} Human readable cost
+ */
+function formatCost(gas, gasPrice, network) {
+  if (gasPrice === null) {
+    return 'unknown';
+  }
+  const { decimals, symbol } = network.nativeCurrency;
+  return `${ethers.formatUnits(gas * gasPrice, decimals)} ${symbol}`;
+}
+
+/**
+ * Describe the initial mint for the plan
+ * 
+ * @param {Object} mint - Number of NFTs to mint and their recipient, from getMintSettings
+ * @returns {string} Description like "mint 3 initial NFTs to 0x..."
+ */
+function describeMint({ count, to }) {
+  if (count === 0) {
+    return 'skip the initial mint';
+  }
+  return `mint ${count} initial NFT${count === 1 ? '' : 's'}${to ? ` to ${to}` : ''}`;
+}
+
+/**
+ * Add the initial mint to a network plan
+ * 
+ * @param {Object} plan - Network plan
+ * @param {Object} mint - Number of NFTs to mint and their recipient, from getMintSettings
+ * @param {string|null} deployer - Deployer address
+ */
+function planMint(plan, mint, deployer) {
+  if (mint.count === 0) {
+    return;
+  }
+  
+  const count = BigInt(mint.count);
+  plan.gas.mint = FALLBACK_GAS.mint * count;
+  plan.approximate.push('mint');
+  if (mint.to && mint.to !== deployer) {
+    plan.gas.transfer = FALLBACK_GAS.transfer * count;
+    plan.approximate.push('transfer');
+  }
+}
+
+/**
+ * Work out what deployToNetwork would do for a network without sending anything
+ * 
+ * @param {string} networkName - Network name from network.config.js
+ * @param {Object} artifacts - Compiled ABI and bytecode
+ * @param {string|null} deployer - Deployer address, if a private key is configured
+ * @param {Object} planOptions - Plan options
+ * @param {boolean} planOptions.isPeer - Whether the network is outside the selection and only configured
+ * @param {boolean} planOptions.redeployStale - Whether deployments failing validation would be replaced
+ * @param {string} planOptions.resetStep - Journal step that would be reset
+ * @param {string|null} planOptions.create2Salt - Salt of a CREATE2 deployment, null for a regular one
+ * @param {Object} planOptions.mint - Number of NFTs to mint and their recipient, from getMintSettings
+ * @returns {Promise<Object>} Planned action and gas estimates for the network
+ */
+async function planNetwork(networkName, artifacts, deployer, { isPeer = false, redeployStale = false, resetStep = null, create2Salt = null, mint = { count: 1, to: deployer } } = {}) {
+  const network = networks[networkName];
+  const plan = {
+    networkName,
+    network,
+    action: null,
+    address: null,
+    chainId: network.chainId,
+    messageContract: null,
+    gas: {},
+    approximate: [],
+    problems: [],
+    validationError: null,
+    notes: [],
+    gasPrice: null,
+    contract: null,
+    error: null
+  };
+  
+  try {
+    const provider = createProvider(network);
+    const providerNetwork = await provider.getNetwork();
+    plan.chainId = Number(providerNetwork.chainId);
+    
+    const chainConfig = getChainConfig(plan.chainId);
+    plan.messageContract = chainConfig?.message || null;
+    
+    const feeData = await provider.getFeeData();
+    plan.gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? null;
+    
+    // Apply the reset to an in-memory copy of the journal only
+    const journal = loadJournal(networkName);
+    const reset = isPeer ? null : resetStep;
+    if (reset) {
+      resetJournalStep(journal, reset);
+      plan.notes.push(`journal step "${reset}" would be reset`);
+    }
+    
+    const deploymentInfo = reset === 'deployed' ? null : readRecordedDeployment(networkName);
+    if (deploymentInfo) {
+      const validation = await validateDeployment(provider, deploymentInfo);
+      plan.problems = validation.problems;
+      plan.validationError = validation.error;
+    }
+    
+    if (deploymentInfo && plan.validationError) {
+      plan.action = 'skip';
+      plan.error = isPeer
+        ? `existing deployment could not be validated (${plan.validationError}), not configured as a peer`
+        : `existing deployment could not be validated (${plan.validationError}), it is left as it is`;
+      return plan;
+    }
+    
+    if (deploymentInfo && plan.problems.length === 0) {
+      plan.action = isPeer ? 'peer' : 'reuse';
+      plan.address = deploymentInfo.address;
+      plan.contract = new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, provider);
+      
+      // Deployments from before journals existed count as saved and minted
+      if (!isPeer && journal.steps.deployed) {
+        if (!journal.steps.saved) {
+          plan.notes.push('deployment files would be written (journal step "saved" not completed)');
+        }
+        if (!journal.steps.minted) {
+          plan.notes.push(`would ${describeMint(mint)} (journal step "minted" not completed)`);
+          planMint(plan, mint, deployer);
+        }
+      }
+      return plan;
+    }
+    
+    if (deploymentInfo && (isPeer || !redeployStale)) {
+      plan.action = 'skip';
+      plan.error = isPeer
+        ? 'existing deployment failed validation, not configured as a peer'
+        : 'existing deployment failed validation, re-run with --redeploy-stale to replace it';
+      return plan;
+    }
+    
+    if (!chainConfig) {
+      plan.action = 'skip';
+      plan.error = `Chain configuration not found for chainId: ${plan.chainId}`;
+      return plan;
+    }
+    
+    plan.action = 'deploy';
+    if (journal.pending && journal.pending.step === 'deployed') {
+      plan.notes.push(`unconfirmed deployment transaction ${journal.pending.txHash} would be waited for before deploying again`);
+    }
+    
+    if (create2Salt && !deployer) {
+      plan.notes.push('CREATE2 address depends on the deployer, configure a signer to see it');
+      plan.gas.deploy = await provider.estimateGas({ data: getInitCode(artifacts, ethers.ZeroAddress) });
+    } else if (create2Salt) {
+      const create2 = getCreate2Deployment(networkName, artifacts, deployer, create2Salt);
+      plan.notes.push(`CREATE2 address ${create2.address} (factory ${create2.factory})`);
+      
+      if (await provider.getCode(create2.factory) === '0x') {
+        plan.action = 'skip';
+        plan.error = `CREATE2 factory ${create2.factory} is not deployed on this network`;
+        return plan;
+      }
+      
+      if (await provider.getCode(create2.address) !== '0x') {
+        plan.notes.push('address is already occupied by this build, the existing contract would be used');
+        plan.address = create2.address;
+        plan.contract = new ethers.Contract(create2.address, artifacts.abi, provider);
+      } else {
+        plan.gas.deploy = await provider.estimateGas({
+          from: deployer,
+          to: create2.factory,
+          data: ethers.concat([create2.salt, create2.initCode])
+        });
+      }
+    } else {
+      plan.gas.deploy = await provider.estimateGas({
+        from: deployer || undefined,
+        data: getInitCode(artifacts, deployer || ethers.ZeroAddress)
+      });
+    }
+    planMint(plan, mint, deployer);
+  } catch (error) {
+    plan.action = 'skip';
+    plan.error = error.message;
+  }
+  
+  return plan;
+}
+
+/**
+ * Estimate the configureClient call planned for a deployment
+ * 
+ * @param {Object} plan - Network plan from planNetwork
+ * @param {Object} call - configureClient arguments from diffClientConfig
+ * @returns {Promise<Object>} Estimated gas and whether it is only a fallback figure
+ */
+async function estimateConfigureGas(plan, call) {
+  const fallback = FALLBACK_GAS.configureBase +
+    FALLBACK_GAS.configurePerChain * BigInt(call.chainIds.length);
+  
+  // A fresh deployment, or a peer still waiting on one, cannot be simulated
+  if (!plan.contract || call.addresses.includes(null)) {
+    return { gas: fallback, approximate: true };
+  }
+  
+  try {
+    const owner = await plan.contract.MESSAGE_OWNER();
+    const gas = await plan.contract.configureClient.estimateGas(
+      call.messageContract,
+      call.chainIds,
+      call.addresses,
+      call.confirmations,
+      { from: owner }
+    );
+    return { gas, approximate: false };
+  } catch (error) {
+    return { gas: fallback, approximate: true };
+  }
+}
+
+/**
+ * Get the unselected networks whose existing deployments are configured as peers
+ * 
+ * @param {Array<string>} networkNames - Networks selected for deployment
+ * @returns {Array<string>} Peer network names
+ */
+function getPeerNetworkNames(networkNames) {
+  return getNetworkNames().filter(networkName =>
+    !networkNames.includes(networkName) && readRecordedDeployment(networkName)
+  );
+}
+
+/**
+ * Plan every network and the configureClient calls between them
+ * 
+ * @param {Array<string>} networkNames - Networks selected for deployment
+ * @param {Array<string>} peerNames - Unselected networks configured as peers
+ * @param {Object} artifacts - Compiled ABI and bytecode
+ * @param {string|null} deployer - Deployer address, if a signer is configured
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<Object>} All network plans, and those that take part in configuration
+ */
+async function buildDeploymentPlan(networkNames, peerNames, artifacts, deployer, options = {}) {
+  const plans = [];
+  for (const networkName of networkNames) {
+    plans.push(await planNetwork(networkName, artifacts, deployer, {
+      redeployStale: options.redeployStale,
+      resetStep: options.resetStep,
+      create2Salt: options.create2 ? options.salt : null,
+      mint: getMintSettings(options, deployer)
+    }));
+  }
+  
+  for (const networkName of peerNames) {
+    plans.push(await planNetwork(networkName, artifacts, deployer, { isPeer: true }));
+  }
+  
+  // Mirror main(): only successful deployments take part in configuration
+  const deployments = plans.filter(plan => plan.action !== 'skip');
+  
+  if (deployments.length >= 2) {
+    for (let i = 0; i < deployments.length; i++) {
+      const plan = deployments[i];
+      plan.configure = { changes: [], call: null };
+      if (!plan.messageContract) {
+        continue;
+      }
+      
+      const desired = buildClientConfig(deployments, i);
+      const forceFullConfig = options.resetStep === 'configured' && plan.action !== 'peer';
+      let current = null;
+      if (plan.contract && !forceFullConfig) {
+        current = await readClientConfig(plan.contract, desired.otherChainIds).catch(() => null);
+      }
+      
+      plan.configure = diffClientConfig(plan.messageContract, desired, current);
+      if (plan.configure.call) {
+        const estimate = await estimateConfigureGas(plan, plan.configure.call);
+        plan.gas.configure = estimate.gas;
+        if (estimate.approximate) {
+          plan.approximate.push('configure');
+        }
+      }
+    }
+  }
+  
+  return { plans, deployments };
+}
+
+/**
+ * Print what main() would do, without sending any transaction
+ * 1. Which networks reuse an existing deployment and which get a fresh deploy
+ * 2. Which configureClient calls would be made
+ * 3. Estimated gas and native currency cost per network
+ * 
+ * @param {Array<string>} networkNames - Networks selected for deployment
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<void>}
  */
-async function configureContracts(deployments) {
-  console.log('\n=== Configuring Cross-Chain Messaging ===');
+async function printDeploymentPlan(networkNames, options = {}) {
+  console.log('\n=== Deployment Plan (no transactions will be sent) ===');
   
-  if (deployments.length < 2) {
-    console.error('Need at least 2 deployments to configure cross-chain messaging');
+  const artifacts = loadContractArtifacts();
+  if (!artifacts) {
     return;
   }
   
-  // For each deployment, configure it to work with all other deployments
-  for (let i = 0; i < deployments.length; i++) {
-    const currentDeployment = deployments[i];
+  // Plans can be made without a signer, but gas estimates and CREATE2
+  // addresses are more accurate with the deployer's address
+  let deployer = null;
+  try {
+    deployer = checkSignerConfig().address;
+    console.log(`Deployer address: ${deployer}`);
+  } catch (error) {
+    console.warn(`Deployer address unknown: ${error.message.split('\n')[0]}`);
+  }
+  const mint = getMintSettings(options, deployer);
+  
+  const { plans, deployments } = await buildDeploymentPlan(
+    networkNames,
+    getPeerNetworkNames(networkNames),
+    artifacts,
+    deployer,
+    options
+  );
+  
+  for (const plan of plans) {
+    console.log(`\n--- ${plan.network.name} (chain ${plan.chainId}) ---`);
     
-    console.log(`\nConfiguring contract on chain ${currentDeployment.chainId}...`);
+    if (plan.problems.length > 0) {
+      console.log('Existing deployment failed validation:');
+      plan.problems.forEach(problem => console.log(`  - ${problem}`));
+    }
     
-    // Get chain config
-    const chainConfig = getChainConfig(currentDeployment.chainId);
-    if (!chainConfig || !chainConfig.message) {
-      console.error(`Message contract address not found for chainId: ${currentDeployment.chainId}`);
+    if (plan.action === 'skip') {
+      console.log(`Action: skip (${plan.error})`);
       continue;
     }
     
-    console.log(`Using message contract: ${chainConfig.message}`);
+    if (plan.action === 'reuse') {
+      console.log(`Action: reuse existing deployment at ${plan.address}`);
+    } else if (plan.action === 'peer') {
+      console.log(`Action: not selected, configure existing deployment at ${plan.address} as a peer`);
+    } else if (plan.problems.length > 0) {
+      console.log(`Action: archive the stale deployment, deploy new MyNFT contract and ${describeMint(mint)}`);
+    } else {
+      console.log(`Action: deploy new MyNFT contract and ${describeMint(mint)}`);
+    }
+    plan.notes.forEach(note => console.log(`  - ${note}`));
+    
+    if (plan.configure) {
+      const { call } = plan.configure;
+      if (!plan.messageContract) {
+        console.log(`configureClient: skipped, message contract address not found for chainId: ${plan.chainId}`);
+      } else if (!call) {
+        console.log('configureClient: already configured, no transaction needed');
+      } else {
+        console.log('configureClient(');
+        console.log(`  message:       ${call.messageContract}`);
+        console.log(`  chains:        [${call.chainIds.join(', ')}]`);
+        console.log(`  endpoints:     [${call.addresses.map(address => address || '<new deployment>').join(', ')}]`);
+        console.log(`  confirmations: [${call.confirmations.join(', ')}]`);
+        console.log(')');
+      }
+    }
+    
+    let totalGas = 0n;
+    for (const [step, gas] of Object.entries(plan.gas)) {
+      const approximate = plan.approximate.includes(step) ? ' (approx.)' : '';
+      console.log(`  ${step.padEnd(10)} ${gas.toString().padStart(10)} gas${approximate}`);
+      totalGas += gas;
+    }
+    
+    const gasPriceLabel = plan.gasPrice !== null ? ` at ${ethers.formatUnits(plan.gasPrice, 'gwei')} gwei` : '';
+    console.log(`Estimated cost: ${formatCost(totalGas, plan.gasPrice, plan.network)}${gasPriceLabel}`);
+  }
+  
+  if (deployments.length < 2) {
+    console.log('\nFewer than two deployments would exist. Configuration would be skipped.');
+  }
+}
+
+// ======================================================================
+// SECTION 5: PRE-FLIGHT CHECKS
+// ======================================================================
+
+// Time allowed for each RPC request made by the pre-flight checks
+const PREFLIGHT_RPC_TIMEOUT_MS = 15000;
+
+/**
+ * Reject if a promise has not settled in time
+ * 
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} Result of the promise
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Format an amount of a network's native currency
+ * 
+ * @param {bigint} amount - Amount in wei
+ * @param {Object} network - Network configuration
+ * @returns {string} Amount with the currency symbol
+ */
+function formatNativeAmount(amount, network) {
+  const { decimals, symbol } = network.nativeCurrency;
+  return `${ethers.formatUnits(amount, decimals)} ${symbol}`;
+}
+
+/**
+ * Connect to a network and check it against network.config.js and the chain registry
+ * 
+ * @param {string} networkName - Network name from network.config.js
+ * @param {string} deployer - Address that will send the transactions
+ * @returns {Promise<Object>} Chain ID, message contract, balance and gas price, with any failures
+ */
+async function checkNetworkConnection(networkName, deployer) {
+  const network = networks[networkName];
+  const check = {
+    networkName,
+    network,
+    reachable: false,
+    chainId: null,
+    messageContract: null,
+    balance: null,
+    maxGasPrice: null,
+    cost: null,
+    skipped: null,
+    failures: []
+  };
+  
+  const provider = createProvider(network);
+  const rpcCall = (promise, what) =>
+    withTimeout(promise, PREFLIGHT_RPC_TIMEOUT_MS, `no ${what} from ${network.rpcUrl} within ${PREFLIGHT_RPC_TIMEOUT_MS / 1000}s`);
+  
+  try {
+    const providerNetwork = await rpcCall(provider.getNetwork(), 'chain ID');
+    check.reachable = true;
+    check.chainId = Number(providerNetwork.chainId);
+    
+    if (check.chainId !== network.chainId) {
+      check.failures.push(`RPC reports chain ${check.chainId}, network.config.js expects ${network.chainId}`);
+    }
+    
+    const chainConfig = getChainConfig(check.chainId);
+    check.messageContract = chainConfig?.message || null;
+    if (!check.messageContract) {
+      check.failures.push(`no message contract in the chain registry or its overrides for chainId ${check.chainId}`);
+    }
+    
+    check.balance = await rpcCall(provider.getBalance(deployer), 'balance');
+    
+    // The most each unit of gas can cost with the network's fee settings
+    const fees = await rpcCall(getFeeOverrides(provider, network), 'fee data');
+    check.maxGasPrice = fees.maxFeePerGas ?? fees.gasPrice;
+  } catch (error) {
+    check.failures.push(check.reachable
+      ? describeError(error)
+      : `RPC unreachable: ${describeError(error)}`);
+  } finally {
+    provider.destroy();
+  }
+  
+  return check;
+}
+
+/**
+ * Check every network before any transaction is sent
+ * 1. The RPC answers and reports the chain ID from network.config.js
+ * 2. The chain registry (or an override) has a message contract for the chain
+ * 3. The signer can pay for the planned deploy, mint and configure transactions
+ * 
+ * Unselected networks that are configured as peers are checked as well, as
+ * they are sent configureClient transactions.
+ * 
+ * @param {Array<string>} networkNames - Networks selected for deployment
+ * @param {Object} options - Parsed command line options
+ * @param {string} deployer - Address that will send the transactions
+ * @returns {Promise<boolean>} True if every network passed
+ */
+async function runPreflightChecks(networkNames, options, deployer) {
+  console.log('\n=== Pre-flight Checks ===');
+  
+  const artifacts = loadContractArtifacts();
+  if (!artifacts) {
+    return false;
+  }
+  
+  const peerNames = getPeerNetworkNames(networkNames);
+  const checks = await Promise.all(
+    [...networkNames, ...peerNames].map(networkName => checkNetworkConnection(networkName, deployer))
+  );
+  const findCheck = networkName => checks.find(check => check.networkName === networkName);
+  const isReachable = networkName => findCheck(networkName).reachable;
+  
+  // Estimate the planned transactions on the networks that answered
+  const { plans } = await buildDeploymentPlan(
+    networkNames.filter(isReachable),
+    peerNames.filter(isReachable),
+    artifacts,
+    deployer,
+    options
+  );
+  
+  for (const plan of plans) {
+    const check = findCheck(plan.networkName);
     
-    // Prepare arrays for all other chains
-    const otherChainIds = [];
-    const otherAddresses = [];
-    const confirmations = [];
+    if (plan.action === 'skip') {
+      if (plan.problems.length > 0 || plan.validationError) {
+        // deployToNetwork skips these too, without sending anything
+        check.skipped = plan.error;
+      } else if (check.failures.length === 0) {
+        check.failures.push(plan.error);
+      }
+      continue;
+    }
     
-    // Collect information about all other deployments
-    for (let j = 0; j < deployments.length; j++) {
-      if (i !== j) {
-        otherChainIds.push(deployments[j].chainId);
-        otherAddresses.push(deployments[j].address);
-        confirmations.push(1); // Default confirmation blocks
+    // Configuration is not paid for by the deployer when it goes to a Safe
+    // batch or the contract has another owner
+    if (plan.gas.configure !== undefined && plan.contract) {
+      const owner = options.safeBatch ? null : await plan.contract.MESSAGE_OWNER().catch(() => null);
+      if (!owner || owner.toLowerCase() !== deployer.toLowerCase()) {
+        delete plan.gas.configure;
       }
     }
     
-    try {
-      // Configure client with all other chains
-      console.log(`Configuring with ${otherChainIds.length} other chains: ${otherChainIds.join(', ')}`);
-      
-      const tx = await currentDeployment.contract.configureClient(
-        chainConfig.message,
-        otherChainIds,
-        otherAddresses,
-        confirmations
-      );
-      
-      console.log(`Configuration transaction hash: ${tx.hash}`);
-      console.log('Waiting for confirmation...');
-      
-      await tx.wait();
-      console.log('Configuration completed successfully!');
-    } catch (error) {
-      console.error(`Error configuring contract on chain ${currentDeployment.chainId}:`, error.message);
+    if (check.balance === null || check.maxGasPrice === null) {
+      continue;
+    }
+    
+    const { gasLimitMultiplier } = getFeeSettings(plan.network);
+    const totalGas = Object.values(plan.gas).reduce((sum, gas) => sum + gas, 0n);
+    check.cost = totalGas * BigInt(Math.round(gasLimitMultiplier * 100)) / 100n * check.maxGasPrice;
+    
+    if (check.balance < check.cost) {
+      check.failures.push(`balance of ${deployer} is ${formatNativeAmount(check.balance, plan.network)}, ` +
+        `the planned transactions may cost up to ${formatNativeAmount(check.cost, plan.network)}`);
+    }
+  }
+  
+  const formatChainId = check => {
+    if (check.chainId === null) {
+      return '-';
     }
+    return check.chainId === check.network.chainId ? String(check.chainId) : `${check.chainId} (expected ${check.network.chainId})`;
+  };
+  const columns = [
+    ['Network', check => peerNames.includes(check.networkName) ? `${check.networkName} (peer)` : check.networkName],
+    ['RPC', check => check.reachable ? 'ok' : 'FAIL'],
+    ['Chain ID', formatChainId],
+    ['Message Contract', check => check.messageContract || (check.reachable ? 'missing' : '-')],
+    ['Balance', check => check.balance !== null ? formatNativeAmount(check.balance, check.network) : '-'],
+    ['Max Cost', check => check.cost !== null ? formatNativeAmount(check.cost, check.network) : '-'],
+    ['Result', check => check.failures.length > 0 ? 'FAIL' : check.skipped ? 'skip' : 'pass']
+  ];
+  formatTable(columns, checks).forEach(line => console.log(line));
+  
+  for (const check of checks) {
+    check.failures.forEach(failure => console.log(`  ${check.networkName}: ${failure}`));
+    if (check.skipped) {
+      console.log(`  ${check.networkName}: will be skipped, ${check.skipped}`);
+    }
+  }
+  
+  return checks.every(check => check.failures.length === 0);
+}
+
+// ======================================================================
+// SECTION 6: DEPLOYMENT SUMMARY
+// ======================================================================
+
+/**
+ * Create an empty summary entry for a network
+ * 
+ * @param {string} networkName - Network name
+ * @param {string} status - Initial status
+ * @returns {Object} Summary entry
+ */
+function createNetworkReport(networkName, status = 'pending') {
+  return {
+    network: networkName,
+    chainId: networks[networkName] ? networks[networkName].chainId : null,
+    status,
+    address: null,
+    deployTxHash: null,
+    gasUsed: 0n,
+    cost: 0n,
+    mint: 'not run',
+    mintedTokenIds: [],
+    configuration: 'not run',
+    error: null
+  };
+}
+
+/**
+ * Add the gas and fee of a confirmed transaction to a network's summary entry
+ * 
+ * @param {Object} report - Summary entry
+ * @param {Object} receipt - Transaction receipt
+ */
+function addTransactionCost(report, receipt) {
+  if (!report || !receipt) {
+    return;
   }
+  report.gasUsed += receipt.gasUsed;
+  report.cost += receipt.fee;
+}
+
+/**
+ * Reduce an error to a single line for the summary
+ * 
+ * @param {Error} error - Error to describe
+ * @returns {string} Short error message
+ */
+function describeError(error) {
+  return (error.shortMessage || error.message || String(error)).split('\n')[0];
+}
+
+/**
+ * Format the native cost recorded in a summary entry
+ * 
+ * @param {Object} report - Summary entry
+ * @returns {string} Cost with the network's currency symbol
+ */
+function formatReportCost(report) {
+  const network = networks[report.network];
+  const { decimals, symbol } = network ? network.nativeCurrency : { decimals: 18, symbol: '' };
+  return `${ethers.formatUnits(report.cost, decimals)} ${symbol}`.trim();
+}
+
+// Columns shared by the console and Markdown summaries
+const SUMMARY_COLUMNS = [
+  ['Network', report => report.network],
+  ['Chain', report => String(report.chainId || '')],
+  ['Status', report => report.error ? `${report.status} (${report.error})` : report.status],
+  ['Address', report => report.address || '-'],
+  ['Deploy Tx', report => report.deployTxHash || '-'],
+  ['Gas Used', report => report.gasUsed.toString()],
+  ['Cost', report => formatReportCost(report)],
+  ['Mint', report => report.mint],
+  ['Configuration', report => report.configuration]
+];
+
+/**
+ * Print the deployment summary and write it as JSON and Markdown next to the deployments
+ * 
+ * @param {Array<Object>} reports - Summary entries, one per network
+ */
+function writeDeploymentSummary(reports) {
+  console.log('\n=== Deployment Summary ===');
+  formatTable(SUMMARY_COLUMNS, reports).forEach(line => console.log(line));
+  
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  
+  const generatedAt = new Date().toISOString();
+  const summary = {
+    generatedAt,
+    networks: reports.map(report => ({
+      ...report,
+      gasUsed: report.gasUsed.toString(),
+      cost: report.cost.toString(),
+      costFormatted: formatReportCost(report)
+    }))
+  };
+  
+  const jsonPath = path.join(DEPLOYMENTS_DIR, 'deploy-summary.json');
+  const markdownPath = path.join(DEPLOYMENTS_DIR, 'deploy-summary.md');
+  
+  fs.writeFileSync(jsonPath, JSON.stringify(summary, null, 2));
+  fs.writeFileSync(markdownPath, [
+    '# MyNFT Deployment Summary',
+    '',
+    `Generated at ${generatedAt}`,
+    '',
+    ...formatTable(SUMMARY_COLUMNS, reports, { markdown: true }),
+    ''
+  ].join('\n'));
+  
+  console.log(`\nSummary written to ${jsonPath} and ${markdownPath}`);
 }
 
 // ======================================================================
-// SECTION 4: MAIN EXECUTION
+// SECTION 7: MAIN EXECUTION
 // ======================================================================
 
+// Default number of networks deployed to at the same time
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Create a logger that prefixes every line with the network it belongs to,
+ * for output of networks deployed at the same time
+ * 
+ * @param {string} prefix - Network name
+ * @returns {Object} Logger with the log, warn and error methods of console
+ */
+function createPrefixedLogger(prefix) {
+  const prefixed = method => (...args) => {
+    if (typeof args[0] === 'string') {
+      const [first, ...rest] = args;
+      const lines = first.split('\n').map(line => line ? `[${prefix}] ${line}` : line);
+      return console[method](lines.join('\n'), ...rest);
+    }
+    return console[method](`[${prefix}]`, ...args);
+  };
+  
+  return {
+    log: prefixed('log'),
+    warn: prefixed('warn'),
+    error: prefixed('error')
+  };
+}
+
+/**
+ * Run an async worker over a list, with at most `limit` workers running at once
+ * 
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with each item
+ * @returns {Promise<Array>} Results in the same order as the items
+ */
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Parse command line options
+ * 
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseCliOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: {
+      plan: { type: 'boolean', default: false },
+      'redeploy-stale': { type: 'boolean', default: false },
+      recompile: { type: 'boolean', default: false },
+      'reset-step': { type: 'string' },
+      concurrency: { type: 'string', default: String(DEFAULT_CONCURRENCY) },
+      create2: { type: 'boolean', default: false },
+      salt: { type: 'string', default: process.env.CREATE2_SALT || DEFAULT_CREATE2_SALT },
+      'speed-up': { type: 'string' },
+      'safe-batch': { type: 'boolean', default: false },
+      force: { type: 'boolean', default: false },
+      mint: { type: 'string', default: '1' },
+      'mint-to': { type: 'string' },
+      'no-mint': { type: 'boolean', default: false },
+      // Read by network.config.js
+      profile: { type: 'string' },
+      only: { type: 'string', multiple: true },
+      exclude: { type: 'string', multiple: true }
+    },
+    allowPositionals: true
+  });
+  
+  // `import <network> <address>` adds an existing contract before the run
+  const isImport = positionals[0] === 'import';
+  
+  return {
+    plan: values.plan,
+    redeployStale: values['redeploy-stale'],
+    recompile: values.recompile,
+    resetStep: values['reset-step'],
+    concurrency: Number(values.concurrency),
+    create2: values.create2,
+    salt: normalizeSalt(values.salt),
+    speedUp: values['speed-up'],
+    safeBatch: values['safe-batch'],
+    force: values.force,
+    mint: Number(values.mint),
+    mintTo: values['mint-to'],
+    noMint: values['no-mint'],
+    only: values.only,
+    exclude: values.exclude,
+    importDeployment: isImport ? { networkName: positionals[1], address: positionals[2], extra: positionals.slice(3) } : null,
+    positionals: isImport ? positionals.slice(1, 2) : positionals
+  };
+}
+
+/**
+ * Split repeated, comma separated network arguments into a flat list of names
+ * 
+ * @param {Array<string>|undefined} values - Raw option values
+ * @returns {Array<string>} Network names
+ */
+function splitNetworkList(values) {
+  return (values || [])
+    .flatMap(value => value.split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve which networks to deploy to from --only, --exclude and positional names
+ * Positional network names behave like --only.
+ * 
+ * @param {Object} options - Parsed command line options
+ * @returns {Array<string>} Selected network names, in network.config.js order
+ * @throws {Error} If an unknown network is named or nothing is left to deploy
+ */
+function selectNetworks(options) {
+  const only = [...splitNetworkList(options.only), ...splitNetworkList(options.positionals)];
+  const exclude = splitNetworkList(options.exclude);
+  const available = getNetworkNames();
+  
+  const unknown = [...only, ...exclude].filter(name => !available.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown network(s): ${unknown.join(', ')}. Available networks: ${available.join(', ')}`);
+  }
+  
+  const selected = available.filter(name =>
+    (only.length === 0 || only.includes(name)) && !exclude.includes(name)
+  );
+  
+  if (selected.length === 0) {
+    throw new Error('No networks selected for deployment');
+  }
+  
+  return selected;
+}
+
+/**
+ * Speed up a pending transaction sent on one of the selected networks
+ * If the transaction belongs to a journal step, the journal is pointed at the
+ * replacement so that the next run waits for it instead of sending the step again.
+ * 
+ * @param {string} txHash - Hash of the pending transaction
+ * @param {Array<string>} selectedNetworks - Networks to look for the transaction on
+ * @returns {Promise<void>}
+ */
+async function speedUpPendingTransaction(txHash, selectedNetworks) {
+  const network = await findTransactionNetwork(selectedNetworks.map(name => networks[name]), txHash);
+  if (!network) {
+    throw new Error(`Transaction ${txHash} not found on: ${selectedNetworks.join(', ')}`);
+  }
+  
+  const networkName = selectedNetworks.find(name => networks[name] === network);
+  const wallet = await getSigner(createProvider(network));
+  const replacement = await speedUpTransaction(wallet, network, txHash, async tx => {
+    console.log(`Maximum cost: ${formatNativeAmount(getMaxTransactionCost(tx), network)}`);
+    return confirmMainnet(getProfile(), 'send the replacement');
+  });
+  console.log(`Replacement transaction hash: ${replacement.hash}`);
+  
+  const journal = loadJournal(networkName);
+  if (journal.pending && journal.pending.txHash === txHash) {
+    recordPendingTransaction(networkName, journal, journal.pending.step, { ...journal.pending, txHash: replacement.hash });
+    console.log(`Journal step "${journal.pending.step}" now waits for the replacement.`);
+  }
+  
+  console.log('Waiting for confirmation...');
+  const receipt = await waitForTransaction(replacement);
+  console.log(`Replacement confirmed in block ${receipt.blockNumber}. Run the deploy script again to continue.`);
+}
+
 /**
  * Main execution function that orchestrates the entire deployment process
  * 1. Compiles the contract
- * 2. Deploys to all networks (preserving existing deployments)
- * 3. Configures cross-chain messaging between all deployments
+ * 2. Deploys to the selected networks concurrently (preserving existing deployments)
+ * 3. Configures cross-chain messaging between all deployments, including
+ *    existing deployments of networks outside the selection
+ * 4. Prints and saves a summary of every network
+ * 
+ * Before anything is deployed, every network is checked for a working RPC,
+ * the expected chain ID, a registered message contract and enough balance.
+ * A failed check aborts the run unless --force is given.
+ * 
+ * With --plan, stops after compiling and prints the deployment plan instead.
+ * With --speed-up, only rebroadcasts the given pending transaction.
+ * With import, first records the given contract for its network, which then
+ * goes through the steps above as the only selected network.
  */
 async function main() {
+  const options = parseCliOptions(process.argv.slice(2));
+  
+  if (options.importDeployment) {
+    const { networkName, address, extra } = options.importDeployment;
+    if (!networkName || !address || extra.length > 0) {
+      throw new Error('Usage: node scripts/deploy.js import <network> <address>');
+    }
+    if (options.only || options.exclude) {
+      throw new Error('--only and --exclude cannot be used with import, it works on the named network');
+    }
+    if (!ethers.isAddress(address)) {
+      throw new Error(`Not a valid contract address: ${address}`);
+    }
+    options.importDeployment.address = ethers.getAddress(address);
+  }
+  
+  const selectedNetworks = selectNetworks(options);
+  validateConfirmationSettings();
+  validateFeeSettings(networks);
+  
+  // Fail on a missing or broken signer before anything is compiled or sent
+  let signer = null;
+  if (!options.plan) {
+    try {
+      signer = checkSignerConfig();
+    } catch (error) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+  }
+  
+  if (options.speedUp) {
+    await speedUpPendingTransaction(options.speedUp, selectedNetworks);
+    return;
+  }
+  
+  if (options.resetStep && !JOURNAL_STEPS.includes(options.resetStep)) {
+    throw new Error(`Unknown journal step "${options.resetStep}". Steps: ${JOURNAL_STEPS.join(', ')}`);
+  }
+  
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new Error('--concurrency must be a positive integer');
+  }
+  
+  if (!Number.isInteger(options.mint) || options.mint < 0) {
+    throw new Error('--mint must be a whole number of NFTs');
+  }
+  
+  if (options.mintTo && !ethers.isAddress(options.mintTo)) {
+    throw new Error(`--mint-to is not a valid address: ${options.mintTo}`);
+  }
+  
+  const profile = getProfile();
   console.log('=== MyNFT Deployment and Configuration ===');
+  console.log(`Profile: ${profile.name}${profile.mainnet ? ' (MAINNET)' : ''}, deployments in ${DEPLOYMENTS_DIR}`);
+  console.log(`Selected networks: ${selectedNetworks.join(', ')}`);
+  if (signer) {
+    console.log(`Signer: ${signer.address} (${signer.backend})`);
+  }
   
   // Compile the contract first
-  const compilationSuccess = await compileContract();
+  const compilationSuccess = await compileContract({ force: options.recompile });
   if (!compilationSuccess) {
     console.error('Compilation failed. Aborting deployment.');
     process.exit(1);
   }
   
-  // Deploy to all networks
-  const deployments = [];
+  // Record the imported contract, then carry on as if this run had deployed it
+  if (options.importDeployment) {
+    const { networkName, address } = options.importDeployment;
+    if (!(await importDeployment(networkName, address, options))) {
+      console.error('\nImport failed. Nothing was changed.');
+      process.exit(1);
+    }
+    if (options.plan) {
+      return;
+    }
+    options.resetStep = null; // Already applied to the imported network's journal
+  }
+  
+  // In plan mode, report what would happen and stop before any transaction
+  if (options.plan) {
+    await printDeploymentPlan(selectedNetworks, options);
+    return;
+  }
+  
+  // Check every network before the first transaction, so that a dead RPC or an
+  // unfunded wallet does not stop the run half way
+  const preflightPassed = await runPreflightChecks(selectedNetworks, options, signer.address);
+  if (!preflightPassed && !options.force) {
+    console.error('\nPre-flight checks failed. Fix the problems above, or re-run with --force to deploy anyway.');
+    process.exit(1);
+  }
+  if (!preflightPassed) {
+    console.warn('\nPre-flight checks failed, continuing because of --force.');
+  }
+  
+  // The pre-flight table above is the cost summary a mainnet deploy is confirmed against
+  if (!(await confirmMainnet(profile, 'deploy'))) {
+    console.log('Deployment cancelled.');
+    process.exit(1);
+  }
+  
+  // Unlock the signer once, before output from several networks is interleaved
+  if (signer) {
+    await loadSigner();
+  }
+  
+  // Deploy to the selected networks, a limited number at a time
+  const concurrency = Math.min(options.concurrency, selectedNetworks.length);
+  if (concurrency > 1) {
+    console.log(`Deploying to up to ${concurrency} networks at once`);
+  }
   
-  for (const networkName of Object.keys(networks)) {
-    const deployment = await deployToNetwork(networkName);
-    if (deployment) {
-      deployments.push(deployment);
+  const reports = selectedNetworks.map(networkName => createNetworkReport(networkName));
+  const results = await runWithConcurrency(selectedNetworks, concurrency, async (networkName, index) => {
+    // Output of networks deployed at the same time is interleaved, so each line names its network
+    const logger = concurrency > 1 ? createPrefixedLogger(networkName) : console;
+    try {
+      return await deployToNetwork(networkName, options, reports[index], logger);
+    } catch (error) {
+      if (error.code === 'UNSIGNED_TRANSACTION') {
+        logger.log(error.message);
+        reports[index].status = 'unsigned';
+        return null;
+      }
+      
+      logger.error(`Deployment to ${networkName} failed:`, error.message);
+      reports[index].status = 'failed';
+      reports[index].error = describeError(error);
+      return null;
     }
+  });
+  const deployments = results.filter(Boolean);
+  
+  // Wire the selection up to deployments that already exist elsewhere
+  const peers = await loadPeerDeployments(selectedNetworks);
+  for (const peer of peers) {
+    peer.report = createNetworkReport(peer.networkName, 'peer');
+    peer.report.address = peer.address;
+    peer.report.mint = '-';
+    reports.push(peer.report);
   }
+  deployments.push(...peers);
   
   if (deployments.length >= 2) {
     // Configure cross-chain messaging
-    await configureContracts(deployments);
+    await configureContracts(deployments, options);
     console.log('\n=== Deployment and Configuration Completed Successfully! ===');
   } else {
     console.error('\nFailed to deploy to at least two networks. Configuration skipped.');
+    deployments.forEach(deployment => { deployment.report.configuration = 'skipped'; });
+  }
+  
+  writeDeploymentSummary(reports);
+  
+  if (signer.backend === 'unsigned') {
+    console.log('\nSign and send the exported transactions, then run the deploy script again to continue.');
   }
 }
 
@@ -0,0 +1,377 @@
+/**
+ * Local Relayer
+ * =============
+ * 
+ * Development stand-in for VIA on local chains. VIA does not relay messages
+ * between local dev chains, so without this a bridged NFT never arrives and
+ * the frontend waits for the destination chain forever. This script:
+ * 
+ * 1. Watches the message contract of each deployment for outgoing messages
+ * 2. Delivers each message to the destination chain after a delay
+ * 3. Can drop messages or make deliveries fail, to exercise the error paths
+ *    of the bridge UI
+ * 
+ * It only works with the mock message contract in contracts/test/MockMessageV3.sol.
+ * 
+ * USAGE:
+ *   node scripts/relayer.js setup                   Deploy a mock message contract on every network
+ *                                                   of the profile and register it in the local
+ *                                                   chain registry override file. Only
+ *                                                   runs with the "local" profile, and
+ *                                                   refuses chains the VIA registry knows
+ *   node scripts/relayer.js [options]               Relay messages until stopped with Ctrl+C
+ * 
+ * OPTIONS:
+ *   --delay <seconds>      Wait this long before delivering a message (default 5)
+ *   --drop-rate <0-1>      Share of messages that are never delivered (default 0)
+ *   --fail-rate <0-1>      Share of deliveries sent as a transaction that reverts (default 0)
+ *   --interval <seconds>   How often the chains are checked for new messages (default 2)
+ *   --profile <name>       Profile from network.config.js (default NFT_PROFILE or testnet)
+ * 
+ * A typical offline setup, with two local chains on the ports of the "local" profile:
+ *   node scripts/relayer.js setup --profile local
+ *   node scripts/deploy.js --profile local
+ *   node scripts/relayer.js --profile local
+ * 
+ * Messages are read from the first block on every start, and messages that
+ * were delivered already are skipped, so a restart picks up anything a previous
+ * run dropped or failed. Deliveries are sent by the signer configured in .env.
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { networks, getNetworkNames, getProfile, getDeploymentsDir } = require('../network.config');
+const { createProvider, sendTransaction, waitForTransaction } = require('./utils/transactions');
+const { checkSignerConfig, getSigner } = require('./utils/signers');
+const { getChainConfig, getOverrideFile, isRegisteredChain } = require('./utils/chain-registry');
+const {
+  deployMockMessage,
+  getMockMessage,
+  findSentMessages,
+  isMessageDelivered
+} = require('./utils/local-messaging');
+require('dotenv').config();
+
+const DEFAULT_DELAY_SECONDS = 5;
+const DEFAULT_INTERVAL_SECONDS = 2;
+
+// Gas limit of a delivery that is made to fail on purpose, so that it is mined
+// as a reverted transaction instead of being rejected by gas estimation
+const FAILED_DELIVERY_GAS_LIMIT = 500000n;
+
+/**
+ * Check whether an address holds the mock message contract
+ * 
+ * @param {Object} provider - Provider of the chain
+ * @param {string} address - Address to check
+ * @returns {Promise<boolean>} True if it answers like MockMessageV3
+ */
+async function isMockMessage(provider, address) {
+  if ((await provider.getCode(address)) === '0x') {
+    return false;
+  }
+  
+  try {
+    await getMockMessage(address, provider).nextTxId();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Deploy a mock message contract on every network of the profile that has none
+ * and register it in the chain registry override file
+ * Chains VIA serves must keep their real message contract, so setup stops at
+ * any chain the VIA registry knows. main() only runs it for the "local" profile.
+ * 
+ * @returns {Promise<void>}
+ * @throws {Error} If a network is a chain the VIA registry knows
+ */
+async function setup() {
+  // Checked before anything is deployed, so a refused profile leaves no mocks behind
+  const servedByVia = getNetworkNames().filter(networkName => isRegisteredChain(networks[networkName].chainId));
+  if (servedByVia.length > 0) {
+    throw new Error(`Setup cannot replace the VIA message contract of ${servedByVia.join(', ')}: the VIA registry knows these chain IDs`);
+  }
+  
+  const overrideFile = getOverrideFile();
+  if (!fs.existsSync(overrideFile)) {
+    fs.writeFileSync(overrideFile, '{}');
+  }
+  const overrides = JSON.parse(fs.readFileSync(overrideFile, 'utf8'));
+  
+  for (const networkName of getNetworkNames()) {
+    const network = networks[networkName];
+    const provider = createProvider(network);
+    
+    try {
+      const chainId = Number((await provider.getNetwork()).chainId);
+      if (chainId !== network.chainId) {
+        throw new Error(`RPC reports chain ID ${chainId}, network.config.js expects ${network.chainId}`);
+      }
+      
+      const chainConfig = getChainConfig(chainId);
+      if (chainConfig && chainConfig.message && await isMockMessage(provider, chainConfig.message)) {
+        console.log(`${networkName}: mock message contract at ${chainConfig.message}`);
+        continue;
+      }
+      
+      const wallet = await getSigner(provider);
+      const messageAddress = await deployMockMessage(wallet);
+      overrides[chainId] = { ...overrides[chainId], name: network.name, message: messageAddress };
+      console.log(`${networkName}: deployed mock message contract at ${messageAddress}`);
+    } catch (error) {
+      throw new Error(`Could not set up ${networkName}: ${error.shortMessage || error.message}`);
+    } finally {
+      provider.destroy();
+    }
+  }
+  
+  fs.writeFileSync(overrideFile, JSON.stringify(overrides, null, 2));
+  console.log(`\nMessage contracts registered in ${overrideFile}`);
+  console.log(`Deploy with: node scripts/deploy.js --profile ${getProfile().name}`);
+}
+
+/**
+ * Load the deployments of the profile and the mock message contracts they use
+ * 
+ * @returns {Promise<Array<Object>>} Network, chain ID, deployment address and mock per deployment
+ * @throws {Error} If fewer than two networks have a deployment, or one uses a real message contract
+ */
+async function loadRoutes() {
+  const routes = [];
+  
+  for (const networkName of getNetworkNames()) {
+    const network = networks[networkName];
+    const deploymentFile = path.join(getDeploymentsDir(), network.name, 'MyNFT.json');
+    if (!fs.existsSync(deploymentFile)) {
+      continue;
+    }
+    
+    const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, 'utf8'));
+    const provider = createProvider(network);
+    const wallet = await getSigner(provider);
+    const contract = new ethers.Contract(deploymentInfo.address, deploymentInfo.abi, provider);
+    const messageAddress = await contract.MESSAGEv3();
+    
+    if (!(await isMockMessage(provider, messageAddress))) {
+      throw new Error(`${networkName} uses message contract ${messageAddress}, which is not a MockMessageV3. The relayer only works on local chains set up with "node scripts/relayer.js setup".`);
+    }
+    
+    routes.push({
+      networkName,
+      network,
+      chainId: deploymentInfo.chainId,
+      address: deploymentInfo.address,
+      messageAddress,
+      provider,
+      wallet,
+      mock: getMockMessage(messageAddress, wallet)
+    });
+  }
+  
+  if (routes.length < 2) {
+    throw new Error(`Found ${routes.length} deployment(s) in ${getDeploymentsDir()}, at least two are needed to relay between. Deploy first.`);
+  }
+  
+  return routes;
+}
+
+/**
+ * Deliver a queued message, or drop or fail it as configured
+ * 
+ * @param {Object} entry - Queued message with its source and destination routes
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<string>} Outcome: 'delivered', 'dropped', 'failed' or 'error'
+ */
+async function deliver({ message, source, dest }, options) {
+  const label = `Message #${message.txId} from ${source.networkName} to ${dest.networkName}`;
+  
+  if (Math.random() < options.dropRate) {
+    console.log(`${label}: dropped (simulated)`);
+    return 'dropped';
+  }
+  
+  const simulateFailure = Math.random() < options.failRate;
+  let txRequest = null;
+  
+  // Errors are reported per message, so that one bad delivery does not stop
+  // the relay of the others
+  try {
+    // A delivery claiming the wrong sender is rejected by the receiving contract
+    txRequest = await dest.mock.deliverMessage.populateTransaction(
+      message.txId,
+      source.chainId,
+      simulateFailure ? ethers.ZeroAddress : message.sender,
+      message.recipient,
+      message.data
+    );
+    if (simulateFailure) {
+      txRequest.gasLimit = FAILED_DELIVERY_GAS_LIMIT;
+    }
+    
+    const tx = await sendTransaction(dest.wallet, dest.network, txRequest, 'delivery');
+    await waitForTransaction(tx);
+    console.log(`${label}: delivered in ${tx.hash}`);
+    return 'delivered';
+  } catch (error) {
+    if (simulateFailure && txRequest) {
+      console.log(`${label}: delivery failed (simulated)`);
+      return 'failed';
+    }
+    console.error(`${label}: delivery failed: ${error.shortMessage || error.message}`);
+    return 'error';
+  }
+}
+
+/**
+ * Relay messages between the deployments until the process is stopped
+ * 
+ * @param {Array<Object>} routes - Deployments from loadRoutes
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<Object>} Number of messages per outcome
+ */
+async function relay(routes, options) {
+  const nextBlock = new Map(routes.map(route => [route.chainId, 0]));
+  const seen = new Set();
+  const queue = [];
+  const totals = { delivered: 0, dropped: 0, failed: 0, error: 0 };
+  
+  let stopping = false;
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, () => {
+      stopping = true;
+      console.log('\nStopping...');
+    });
+  }
+  
+  console.log(`Relaying between ${routes.map(route => `${route.networkName} (${route.chainId})`).join(', ')}`);
+  console.log(`Delay ${options.delay}s, drop rate ${options.dropRate}, fail rate ${options.failRate}. Press Ctrl+C to stop.\n`);
+  
+  while (!stopping) {
+    for (const source of routes) {
+      try {
+        const latest = await source.provider.getBlockNumber();
+        const fromBlock = nextBlock.get(source.chainId);
+        if (latest < fromBlock) {
+          continue;
+        }
+        
+        const messages = await findSentMessages(source.provider, source.messageAddress, fromBlock, latest);
+        for (const message of messages) {
+          const key = `${source.chainId}:${message.txId}`;
+          if (seen.has(key)) {
+            continue;
+          }
+          seen.add(key);
+          
+          const dest = routes.find(route => route.chainId === message.destChainId);
+          if (!dest) {
+            console.warn(`Message #${message.txId} from ${source.networkName} is for chain ${message.destChainId}, which has no deployment. Skipped.`);
+            continue;
+          }
+          if (await isMessageDelivered(dest.mock, source.chainId, message)) {
+            continue;
+          }
+          
+          console.log(`Message #${message.txId} from ${source.networkName} to ${dest.networkName} seen in block ${message.blockNumber}, delivering in ${options.delay}s`);
+          queue.push({ dueAt: Date.now() + options.delay * 1000, message, source, dest });
+        }
+        nextBlock.set(source.chainId, latest + 1);
+      } catch (error) {
+        console.error(`Could not read messages on ${source.networkName}: ${error.shortMessage || error.message}`);
+      }
+    }
+    
+    // Deliver what is due, one at a time so that nonces stay in order
+    while (!stopping && queue.length > 0 && queue[0].dueAt <= Date.now()) {
+      const outcome = await deliver(queue.shift(), options);
+      totals[outcome]++;
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, options.interval * 1000));
+  }
+  
+  return totals;
+}
+
+/**
+ * Read a rate option
+ * 
+ * @param {string} value - Raw option value
+ * @param {string} name - Option name for the error message
+ * @returns {number} Rate between 0 and 1
+ * @throws {Error} If the value is not a number between 0 and 1
+ */
+function parseRate(value, name) {
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+    throw new Error(`--${name} must be a number between 0 and 1`);
+  }
+  return rate;
+}
+
+/**
+ * Main execution function
+ * Parses command line arguments and runs setup or the relay loop
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: {
+      delay: { type: 'string', default: String(DEFAULT_DELAY_SECONDS) },
+      'drop-rate': { type: 'string', default: '0' },
+      'fail-rate': { type: 'string', default: '0' },
+      interval: { type: 'string', default: String(DEFAULT_INTERVAL_SECONDS) },
+      // Read by network.config.js
+      profile: { type: 'string' }
+    },
+    allowPositionals: true
+  });
+  const [command] = positionals;
+  
+  const profile = getProfile();
+  if (profile.mainnet) {
+    throw new Error(`The relayer is for local development chains and cannot be used with the "${profile.name}" profile`);
+  }
+  if (command === 'setup' && profile.name !== 'local') {
+    throw new Error(`Setup deploys mock message contracts and only runs with the "local" profile, not "${profile.name}"`);
+  }
+  
+  checkSignerConfig();
+  
+  if (command === 'setup') {
+    await setup();
+    return;
+  }
+  if (command) {
+    throw new Error(`Unknown command "${command}". Usage: node scripts/relayer.js [setup] [--delay <seconds>] [--drop-rate <0-1>] [--fail-rate <0-1>]`);
+  }
+  
+  const options = {
+    delay: Number(values.delay),
+    dropRate: parseRate(values['drop-rate'], 'drop-rate'),
+    failRate: parseRate(values['fail-rate'], 'fail-rate'),
+    interval: Number(values.interval)
+  };
+  if (!Number.isFinite(options.delay) || options.delay < 0) {
+    throw new Error('--delay must be a number of seconds');
+  }
+  if (!Number.isFinite(options.interval) || options.interval <= 0) {
+    throw new Error('--interval must be a positive number of seconds');
+  }
+  
+  const routes = await loadRoutes();
+  const totals = await relay(routes, options);
+  console.log(`Delivered ${totals.delivered}, dropped ${totals.dropped}, failed ${totals.failed}, errors ${totals.error}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
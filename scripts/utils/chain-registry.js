@@ -0,0 +1,159 @@
+/**
+ * Chain Registry Utilities
+ * ========================
+ * 
+ * Looks up the VIA details of a chain (message contract, explorer and display
+ * name) by chain ID. Values come from @vialabs-io/npm-registry, with overrides
+ * merged on top in this order:
+ * 
+ * 1. `chainRegistryOverrides` in network.config.js
+ * 2. The local override file, CHAIN_REGISTRY_FILE (default chain-registry.local.json
+ *    in the project root), keyed by chain ID the same way
+ * 
+ * Chains the registry does not know can be used once an override gives them
+ * at least a message contract.
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const registry = require('@vialabs-io/npm-registry');
+const { networks, chainRegistryOverrides } = require('../../network.config');
+
+const DEFAULT_OVERRIDE_FILE = path.join(__dirname, '../../chain-registry.local.json');
+
+// Fields an override may set
+const OVERRIDE_FIELDS = ['name', 'network', 'message', 'explorer'];
+
+// Parsed override file, read once per process
+let fileOverrides = null;
+
+/**
+ * Check one chain's override entry
+ * 
+ * @param {Object} entry - Override values
+ * @param {string} chainId - Chain ID the entry is keyed by
+ * @param {string} source - Where the entry comes from, for error messages
+ * @returns {Object} The entry
+ * @throws {Error} If the entry has unknown fields or an invalid message address
+ */
+function validateOverride(entry, chainId, source) {
+  if (!/^\d+$/.test(chainId)) {
+    throw new Error(`Chain registry override "${chainId}" in ${source} is not a chain ID`);
+  }
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Chain registry override for chainId ${chainId} in ${source} must be an object`);
+  }
+  
+  const unknown = Object.keys(entry).filter(field => !OVERRIDE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s) ${unknown.join(', ')} in the chain registry override for chainId ${chainId} in ${source}. Supported fields: ${OVERRIDE_FIELDS.join(', ')}`);
+  }
+  if (entry.message !== undefined && !ethers.isAddress(entry.message)) {
+    throw new Error(`Message contract "${entry.message}" for chainId ${chainId} in ${source} is not an address`);
+  }
+  
+  return entry;
+}
+
+/**
+ * Get the path of the local override file
+ * 
+ * @returns {string} CHAIN_REGISTRY_FILE, or chain-registry.local.json in the project root
+ */
+function getOverrideFile() {
+  return process.env.CHAIN_REGISTRY_FILE
+    ? path.resolve(process.env.CHAIN_REGISTRY_FILE)
+    : DEFAULT_OVERRIDE_FILE;
+}
+
+/**
+ * Read the local override file
+ * 
+ * @returns {Object} Overrides keyed by chain ID, empty if there is no file
+ * @throws {Error} If the file is not valid JSON or has an invalid entry
+ */
+function loadFileOverrides() {
+  if (!fileOverrides) {
+    const file = getOverrideFile();
+    
+    fileOverrides = {};
+    if (fs.existsSync(file)) {
+      let content;
+      try {
+        content = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read chain registry overrides from ${file}: ${error.message}`);
+      }
+      
+      for (const [chainId, entry] of Object.entries(content)) {
+        fileOverrides[chainId] = validateOverride(entry, chainId, file);
+      }
+    } else if (process.env.CHAIN_REGISTRY_FILE) {
+      throw new Error(`CHAIN_REGISTRY_FILE ${file} does not exist`);
+    }
+  }
+  return fileOverrides;
+}
+
+/**
+ * Look up a chain in the VIA registry
+ * 
+ * @param {number} chainId - Chain ID
+ * @returns {Object|null} Registry entry, or null if the registry does not know the chain
+ */
+function getRegistryConfig(chainId) {
+  try {
+    return registry.getChainConfig(Number(chainId)) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether the VIA registry itself knows a chain, ignoring overrides
+ * 
+ * @param {number|bigint} chainId - Chain ID
+ * @returns {boolean} True if @vialabs-io/npm-registry has an entry for the chain
+ */
+function isRegisteredChain(chainId) {
+  return getRegistryConfig(chainId) !== null;
+}
+
+/**
+ * Get the VIA details of a chain, with overrides applied
+ * Chains that only come from overrides are named after the network in
+ * network.config.js with the same chain ID, unless the override names them.
+ * 
+ * @param {number|bigint} chainId - Chain ID
+ * @returns {Object|null} Chain details (name, network, message, explorer), or null if neither the registry nor an override knows the chain
+ * @throws {Error} If an override is invalid
+ */
+function getChainConfig(chainId) {
+  const key = String(chainId);
+  const configOverride = chainRegistryOverrides[key]
+    ? validateOverride(chainRegistryOverrides[key], key, 'network.config.js')
+    : null;
+  const fileOverride = loadFileOverrides()[key] || null;
+  const registryConfig = getRegistryConfig(chainId);
+  
+  if (!registryConfig && !configOverride && !fileOverride) {
+    return null;
+  }
+  
+  const merged = { ...registryConfig, ...configOverride, ...fileOverride };
+  if (!registryConfig) {
+    const network = Object.values(networks).find(candidate => String(candidate.chainId) === key);
+    merged.network = merged.network || (network ? network.name : `chain-${key}`);
+    merged.name = merged.name || merged.network;
+    merged.explorer = merged.explorer ?? (network ? network.blockExplorer : '');
+  }
+  
+  return merged;
+}
+
+module.exports = {
+  getChainConfig,
+  getOverrideFile,
+  isRegisteredChain
+};
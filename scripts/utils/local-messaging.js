@@ -0,0 +1,141 @@
+/**
+ * Local Messaging Utilities
+ * =========================
+ * 
+ * Cross-chain messaging for local development chains, which VIA does not
+ * relay. contracts/test/MockMessageV3.sol stands in for the VIA message
+ * contract there:
+ * 
+ * 1. MessageClient.configureClient points each deployment at the chain's mock
+ * 2. MyNFT.bridge sends through the mock, which records the message in a
+ *    MessageSent event
+ * 3. A relayer reads the events and calls deliverMessage on the mock of the
+ *    destination chain, which passes the message to the receiving contract
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+
+const MOCK_SOURCE = 'contracts/test/MockMessageV3.sol';
+const MOCK_NAME = 'MockMessageV3';
+
+// Compiled mock, compiled once per process
+let mockArtifacts = null;
+
+/**
+ * Compile the mock message contract
+ * 
+ * @returns {Object} ABI and bytecode
+ * @throws {Error} If the compiler reports an error
+ */
+function compileMockMessage() {
+  if (!mockArtifacts) {
+    const solc = require('solc');
+    const input = {
+      language: 'Solidity',
+      sources: {
+        [MOCK_SOURCE]: { content: fs.readFileSync(path.join(__dirname, '../..', MOCK_SOURCE), 'utf8') }
+      },
+      settings: {
+        optimizer: { enabled: true, runs: 200 },
+        outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+      }
+    };
+    
+    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const errors = (output.errors || []).filter(message => message.severity === 'error');
+    if (errors.length > 0) {
+      throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+    }
+    
+    const compiled = output.contracts[MOCK_SOURCE][MOCK_NAME];
+    mockArtifacts = { abi: compiled.abi, bytecode: '0x' + compiled.evm.bytecode.object };
+  }
+  return mockArtifacts;
+}
+
+/**
+ * Deploy a mock message contract
+ * 
+ * @param {Object} signer - Signer connected to the local chain
+ * @returns {Promise<string>} Address of the mock
+ */
+async function deployMockMessage(signer) {
+  const { abi, bytecode } = compileMockMessage();
+  const mock = await new ethers.ContractFactory(abi, bytecode, signer).deploy();
+  await mock.waitForDeployment();
+  return mock.getAddress();
+}
+
+/**
+ * Get a contract instance for a deployed mock
+ * 
+ * @param {string} address - Mock address
+ * @param {Object} runner - Provider, or signer to deliver messages with
+ * @returns {Object} ethers contract
+ */
+function getMockMessage(address, runner) {
+  return new ethers.Contract(address, compileMockMessage().abi, runner);
+}
+
+/**
+ * Read the messages sent through a mock in a range of blocks
+ * 
+ * @param {Object} provider - Provider of the source chain
+ * @param {string} mockAddress - Mock on the source chain
+ * @param {number} fromBlock - First block to search
+ * @param {number|string} toBlock - Last block to search
+ * @returns {Promise<Array<Object>>} Messages with their txId, sender, recipient, destination chain and payload
+ */
+async function findSentMessages(provider, mockAddress, fromBlock, toBlock = 'latest') {
+  const mock = getMockMessage(mockAddress, provider);
+  const events = await mock.queryFilter(mock.filters.MessageSent(), fromBlock, toBlock);
+  
+  return events.map(event => ({
+    txId: event.args.txId,
+    sender: event.args.sender,
+    recipient: event.args.recipient,
+    destChainId: Number(event.args.destChainId),
+    data: event.args.data,
+    confirmations: Number(event.args.confirmations),
+    blockNumber: event.blockNumber,
+    txHash: event.transactionHash
+  }));
+}
+
+/**
+ * Check whether a message was already delivered on its destination chain
+ * 
+ * @param {Object} destMock - Mock contract on the destination chain
+ * @param {number} sourceChainId - Chain ID the message was sent on
+ * @param {Object} message - Message from findSentMessages
+ * @returns {Promise<boolean>} True if it was delivered
+ */
+async function isMessageDelivered(destMock, sourceChainId, message) {
+  const key = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(['uint256', 'uint256'], [sourceChainId, message.txId]));
+  return destMock.delivered(key);
+}
+
+/**
+ * Deliver a message to its recipient on the destination chain
+ * 
+ * @param {Object} destMock - Mock contract on the destination chain, connected to a signer
+ * @param {number} sourceChainId - Chain ID the message was sent on
+ * @param {Object} message - Message from findSentMessages
+ * @returns {Promise<Object>} Receipt of the delivery
+ * @throws {Error} If the receiving contract rejects the message
+ */
+async function deliverMessage(destMock, sourceChainId, message) {
+  const tx = await destMock.deliverMessage(message.txId, sourceChainId, message.sender, message.recipient, message.data);
+  return tx.wait();
+}
+
+module.exports = {
+  compileMockMessage,
+  deployMockMessage,
+  getMockMessage,
+  findSentMessages,
+  isMessageDelivered,
+  deliverMessage
+};
@@ -0,0 +1,64 @@
+/**
+ * Prompt Utilities
+ * ================
+ * 
+ * Terminal questions asked before transactions are sent:
+ * 
+ * 1. A yes/no confirmation
+ * 2. A typed confirmation for mainnet profiles, where the profile name has to
+ *    be typed in full. It cannot be answered from a pipe or skipped with --yes.
+ */
+
+const readline = require('readline');
+
+/**
+ * Ask a question on the terminal
+ * 
+ * @param {string} question - Question to show
+ * @returns {Promise<string>} Answer as typed
+ */
+async function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise(resolve => rl.question(question, resolve));
+  rl.close();
+  return answer;
+}
+
+/**
+ * Ask the user to confirm an action on the terminal
+ * 
+ * @param {string} question - Question to show
+ * @returns {Promise<boolean>} True if the user answered "yes"
+ */
+async function confirm(question) {
+  const answer = await ask(`${question} (yes/no) `);
+  return answer.trim().toLowerCase() === 'yes';
+}
+
+/**
+ * Make the user type the profile name before anything is sent on a mainnet profile
+ * Profiles that are not marked `mainnet` pass without a question.
+ * 
+ * @param {Object} profile - Selected profile from network.config.js
+ * @param {string} action - What will happen, e.g. "deploy"
+ * @returns {Promise<boolean>} True if the profile is not a mainnet one or the name was typed
+ * @throws {Error} If a mainnet profile is used without an interactive terminal
+ */
+async function confirmMainnet(profile, action) {
+  if (!profile.mainnet) {
+    return true;
+  }
+  
+  if (!process.stdin.isTTY) {
+    throw new Error(`The "${profile.name}" profile sends mainnet transactions and needs a typed confirmation on an interactive terminal`);
+  }
+  
+  console.log(`\n*** MAINNET: the "${profile.name}" profile spends real funds ***`);
+  const answer = await ask(`Type "${profile.name}" to ${action}: `);
+  return answer.trim() === profile.name;
+}
+
+module.exports = {
+  confirm,
+  confirmMainnet
+};
@@ -0,0 +1,93 @@
+/**
+ * Safe Batch Utilities
+ * ====================
+ * 
+ * Collects admin calls that have to come from a multisig (the MESSAGE_OWNER
+ * after an ownership handoff) and writes them as one batch file per chain.
+ * The files use the Safe Transaction Builder JSON format, so they can be
+ * imported with "Load" in the Safe{Wallet} Transaction Builder app. Every
+ * transaction also carries a human-readable description.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDeploymentsDir } = require('../../network.config');
+
+const DEFAULT_SAFE_BATCH_DIR = path.join(getDeploymentsDir(), 'safe-batches');
+
+/**
+ * Create an empty batch
+ * 
+ * @param {string} name - Name shown for the batch in the Safe UI
+ * @returns {Object} Batch to add transactions to
+ */
+function createSafeBatch(name) {
+  return { name, chains: {} };
+}
+
+/**
+ * Add a call to the batch of its chain
+ * 
+ * @param {Object} batch - Batch from createSafeBatch
+ * @param {Object} call - Call to add
+ * @param {string} call.networkName - Network name from network.config.js
+ * @param {number} call.chainId - Chain ID of the network
+ * @param {string} call.safeAddress - Account that has to make the call, e.g. the current owner
+ * @param {string} call.to - Target contract
+ * @param {string} call.data - ABI-encoded calldata
+ * @param {bigint} call.value - Native value to send
+ * @param {string} call.description - What the call does
+ */
+function addSafeTransaction(batch, { networkName, chainId, safeAddress, to, data, value = 0n, description }) {
+  if (!batch.chains[chainId]) {
+    batch.chains[chainId] = { networkName, chainId, safeAddress, transactions: [] };
+  }
+  
+  batch.chains[chainId].transactions.push({
+    to,
+    value: value.toString(),
+    data,
+    contractMethod: null,
+    contractInputsValues: null,
+    description
+  });
+}
+
+/**
+ * Write one batch file per chain
+ * Files are named after the network and replace the previous batch for it.
+ * 
+ * @param {Object} batch - Batch from createSafeBatch
+ * @param {string} outputDir - Directory to write the files to
+ * @returns {Array<string>} Paths of the written files
+ */
+function writeSafeBatches(batch, outputDir = DEFAULT_SAFE_BATCH_DIR) {
+  const files = [];
+  
+  for (const chain of Object.values(batch.chains)) {
+    const file = path.join(outputDir, `${chain.networkName}.json`);
+    const content = {
+      version: '1.0',
+      chainId: String(chain.chainId),
+      createdAt: Date.now(),
+      meta: {
+        name: batch.name,
+        description: chain.transactions.map(tx => tx.description).join('\n'),
+        createdFromSafeAddress: chain.safeAddress
+      },
+      transactions: chain.transactions
+    };
+    
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(content, null, 2));
+    files.push(file);
+  }
+  
+  return files;
+}
+
+module.exports = {
+  createSafeBatch,
+  addSafeTransaction,
+  writeSafeBatches
+};
@@ -0,0 +1,315 @@
+/**
+ * Signer Utilities
+ * ================
+ * 
+ * Selects the account the scripts sign transactions with. Supported backends:
+ * 
+ * - private-key: a raw key in PRIVATE_KEY
+ * - keystore:    an encrypted JSON keystore at KEYSTORE_PATH, unlocked with
+ *                KEYSTORE_PASSWORD or a password typed at the prompt
+ * - mnemonic:    a phrase in MNEMONIC, derived at MNEMONIC_PATH
+ *                (default m/44'/60'/0'/0/0)
+ * - unsigned:    no key at all. Transactions from UNSIGNED_ADDRESS are written
+ *                to UNSIGNED_TX_FILE for offline signing instead of being sent
+ * 
+ * The backend is set with SIGNER, or picked from whichever of PRIVATE_KEY,
+ * KEYSTORE_PATH and MNEMONIC is set.
+ */
+
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { getDeploymentsDir } = require('../../network.config');
+
+const SIGNER_BACKENDS = ['private-key', 'keystore', 'mnemonic', 'unsigned'];
+
+const DEFAULT_DERIVATION_PATH = "m/44'/60'/0'/0/0";
+
+const DEFAULT_UNSIGNED_TX_FILE = path.join(getDeploymentsDir(), 'unsigned-transactions.json');
+
+const NO_SIGNER_MESSAGE = [
+  'No signer configured. Set one of the following in .env:',
+  '  PRIVATE_KEY=0x...                     Sign with a raw private key',
+  '  KEYSTORE_PATH=path/to/keystore.json   Sign with an encrypted keystore (password prompted, or KEYSTORE_PASSWORD)',
+  '  MNEMONIC="word word ..."              Sign with a mnemonic (MNEMONIC_PATH sets the derivation path)',
+  '  SIGNER=unsigned UNSIGNED_ADDRESS=0x...  Write transactions to a file for offline signing'
+].join('\n');
+
+// Decrypted or derived signer, shared by every network of a run so that the
+// keystore password is only asked for once
+let signerPromise = null;
+
+// Transactions written by the unsigned backend during this run
+let unsignedTransactions = null;
+
+/**
+ * Work out which signer backend is configured
+ * 
+ * @returns {string|null} Backend name, or null if none is configured
+ * @throws {Error} If SIGNER names an unknown backend
+ */
+function getSignerBackend() {
+  const backend = process.env.SIGNER;
+  if (backend) {
+    if (!SIGNER_BACKENDS.includes(backend)) {
+      throw new Error(`Unknown SIGNER "${backend}". Supported signers: ${SIGNER_BACKENDS.join(', ')}`);
+    }
+    return backend;
+  }
+  
+  if (process.env.PRIVATE_KEY) {
+    return 'private-key';
+  }
+  if (process.env.KEYSTORE_PATH) {
+    return 'keystore';
+  }
+  if (process.env.MNEMONIC) {
+    return 'mnemonic';
+  }
+  return null;
+}
+
+/**
+ * Check the signer configuration before any network is touched
+ * The address is worked out without unlocking a keystore.
+ * 
+ * @returns {Object} Backend name and signer address
+ * @throws {Error} With a description of what to set if the signer is missing or invalid
+ */
+function checkSignerConfig() {
+  const backend = getSignerBackend();
+  
+  if (backend === 'private-key') {
+    if (!process.env.PRIVATE_KEY) {
+      throw new Error('SIGNER is private-key but PRIVATE_KEY is not set');
+    }
+    try {
+      return { backend, address: new ethers.Wallet(process.env.PRIVATE_KEY).address };
+    } catch (error) {
+      throw new Error('PRIVATE_KEY is not a valid private key (expected 64 hex characters, optionally prefixed with 0x)');
+    }
+  }
+  
+  if (backend === 'keystore') {
+    const keystorePath = process.env.KEYSTORE_PATH;
+    if (!keystorePath) {
+      throw new Error('SIGNER is keystore but KEYSTORE_PATH is not set');
+    }
+    if (!fs.existsSync(keystorePath)) {
+      throw new Error(`Keystore file not found: ${keystorePath}`);
+    }
+    
+    const json = fs.readFileSync(keystorePath, 'utf8');
+    if (!ethers.isKeystoreJson(json)) {
+      throw new Error(`${keystorePath} is not an encrypted JSON keystore`);
+    }
+    return { backend, address: ethers.getAddress(JSON.parse(json).address) };
+  }
+  
+  if (backend === 'mnemonic') {
+    const phrase = (process.env.MNEMONIC || '').trim();
+    if (!phrase) {
+      throw new Error('SIGNER is mnemonic but MNEMONIC is not set');
+    }
+    if (!ethers.Mnemonic.isValidMnemonic(phrase)) {
+      throw new Error('MNEMONIC is not a valid BIP-39 mnemonic');
+    }
+    
+    const derivationPath = process.env.MNEMONIC_PATH || DEFAULT_DERIVATION_PATH;
+    try {
+      return { backend, address: ethers.HDNodeWallet.fromPhrase(phrase, undefined, derivationPath).address };
+    } catch (error) {
+      throw new Error(`MNEMONIC_PATH "${derivationPath}" is not a valid derivation path`);
+    }
+  }
+  
+  if (backend === 'unsigned') {
+    if (!process.env.UNSIGNED_ADDRESS || !ethers.isAddress(process.env.UNSIGNED_ADDRESS)) {
+      throw new Error('SIGNER is unsigned but UNSIGNED_ADDRESS is not set to the address that will sign the transactions');
+    }
+    return { backend, address: ethers.getAddress(process.env.UNSIGNED_ADDRESS) };
+  }
+  
+  throw new Error(NO_SIGNER_MESSAGE);
+}
+
+/**
+ * Read a password from the terminal without echoing it
+ * 
+ * @param {string} question - Prompt to show
+ * @returns {Promise<string>} Password
+ */
+function promptPassword(question) {
+  return new Promise((resolve, reject) => {
+    const stdin = process.stdin;
+    if (!stdin.isTTY) {
+      reject(new Error('KEYSTORE_PASSWORD is not set and there is no terminal to ask for the password'));
+      return;
+    }
+    
+    process.stdout.write(question);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+    
+    let password = '';
+    const finish = error => {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stdout.write('\n');
+      if (error) {
+        reject(error);
+      } else {
+        resolve(password);
+      }
+    };
+    const onData = chunk => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n' || char === '\u0004') {
+          finish();
+          return;
+        }
+        if (char === '\u0003') {
+          finish(new Error('Password prompt cancelled'));
+          return;
+        }
+        password = char === '\u007f' || char === '\b' ? password.slice(0, -1) : password + char;
+      }
+    };
+    stdin.on('data', onData);
+  });
+}
+
+/**
+ * Unlock the configured signer
+ * Runs once per process, later calls get the same signer.
+ * 
+ * @returns {Promise<Object|null>} Signer without a provider, null for the unsigned backend
+ */
+function loadSigner() {
+  if (!signerPromise) {
+    signerPromise = (async () => {
+      const { backend, address } = checkSignerConfig();
+      
+      if (backend === 'private-key') {
+        return new ethers.Wallet(process.env.PRIVATE_KEY);
+      }
+      
+      if (backend === 'keystore') {
+        const password = process.env.KEYSTORE_PASSWORD !== undefined
+          ? process.env.KEYSTORE_PASSWORD
+          : await promptPassword(`Password for keystore ${address}: `);
+        try {
+          return await ethers.Wallet.fromEncryptedJson(fs.readFileSync(process.env.KEYSTORE_PATH, 'utf8'), password);
+        } catch (error) {
+          throw new Error(`Could not decrypt ${process.env.KEYSTORE_PATH}: ${error.shortMessage || error.message}`);
+        }
+      }
+      
+      if (backend === 'mnemonic') {
+        return ethers.HDNodeWallet.fromPhrase(
+          process.env.MNEMONIC.trim(),
+          undefined,
+          process.env.MNEMONIC_PATH || DEFAULT_DERIVATION_PATH
+        );
+      }
+      
+      return null;
+    })();
+  }
+  return signerPromise;
+}
+
+/**
+ * Signer that writes transactions to a file instead of signing them
+ * Sending a transaction fills in its nonce, gas and fees, adds it to the file
+ * and then fails with code UNSIGNED_TRANSACTION, as there is no receipt to wait for.
+ */
+class UnsignedSigner extends ethers.AbstractSigner {
+  constructor(address, provider, outputFile = process.env.UNSIGNED_TX_FILE || DEFAULT_UNSIGNED_TX_FILE) {
+    super(provider);
+    this.address = address;
+    this.outputFile = outputFile;
+  }
+  
+  async getAddress() {
+    return this.address;
+  }
+  
+  connect(provider) {
+    return new UnsignedSigner(this.address, provider, this.outputFile);
+  }
+  
+  async signTransaction() {
+    throw new Error('The unsigned signer cannot sign transactions');
+  }
+  
+  async signMessage() {
+    throw new Error('The unsigned signer cannot sign messages');
+  }
+  
+  async signTypedData() {
+    throw new Error('The unsigned signer cannot sign typed data');
+  }
+  
+  async sendTransaction(txRequest) {
+    const tx = await this.populateTransaction(txRequest);
+    
+    // Transactions written earlier in this run have not been sent, so the
+    // node's nonce does not account for them
+    if (!unsignedTransactions) {
+      unsignedTransactions = [];
+    }
+    const chainId = Number(tx.chainId);
+    const written = unsignedTransactions.filter(entry => entry.chainId === chainId && entry.from === this.address);
+    if (written.length > 0) {
+      tx.nonce = Math.max(tx.nonce, ...written.map(entry => entry.nonce + 1));
+    }
+    
+    const { from, ...unsigned } = tx;
+    const entry = {
+      chainId,
+      from: this.address,
+      to: tx.to || null,
+      value: (tx.value || 0n).toString(),
+      data: tx.data || '0x',
+      nonce: tx.nonce,
+      gasLimit: tx.gasLimit.toString(),
+      ...(tx.gasPrice != null
+        ? { gasPrice: tx.gasPrice.toString() }
+        : { maxFeePerGas: tx.maxFeePerGas.toString(), maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString() }),
+      unsignedSerialized: ethers.Transaction.from(unsigned).unsignedSerialized
+    };
+    
+    unsignedTransactions.push(entry);
+    fs.mkdirSync(path.dirname(this.outputFile), { recursive: true });
+    fs.writeFileSync(this.outputFile, JSON.stringify(unsignedTransactions, null, 2));
+    
+    const error = new Error(`Transaction written to ${this.outputFile} for offline signing (chain ${chainId}, nonce ${entry.nonce})`);
+    error.code = 'UNSIGNED_TRANSACTION';
+    error.transaction = entry;
+    throw error;
+  }
+}
+
+/**
+ * Get the configured signer connected to a network
+ * 
+ * @param {Object} provider - Provider of the network
+ * @returns {Promise<Object>} Signer for the network
+ * @throws {Error} If no signer is configured or it cannot be unlocked
+ */
+async function getSigner(provider) {
+  const signer = await loadSigner();
+  if (!signer) {
+    return new UnsignedSigner(checkSignerConfig().address, provider);
+  }
+  return signer.connect(provider);
+}
+
+module.exports = {
+  checkSignerConfig,
+  loadSigner,
+  getSigner
+};
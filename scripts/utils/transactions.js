@@ -0,0 +1,409 @@
+/**
+ * Transaction Utilities
+ * =====================
+ * 
+ * Helpers shared by the deploy and bridge scripts for sending transactions:
+ * 
+ * 1. Per-network EIP-1559 fee settings and gas limit multipliers
+ * 2. Retries for "replacement underpriced" and "nonce too low" errors, and
+ *    waiting for a transaction the node reports as already known
+ * 3. Speeding up a stuck transaction by resending it at the same nonce
+ */
+
+const { ethers } = require('ethers');
+
+// Attempts made to send a transaction before giving up
+const MAX_SEND_ATTEMPTS = 4;
+
+// Pause between send attempts, and between lookups of a transaction the node
+// reports as already known
+const RETRY_DELAY_MS = 2000;
+
+// Percentage fees are raised by on each retry or speed-up. Nodes reject
+// replacement transactions that raise fees by less than 10%.
+const FEE_BUMP_PERCENT = 25n;
+
+/**
+ * Create a provider for a network
+ * Request caching is disabled so that code and nonce lookups made right after a
+ * transaction is mined see the new state.
+ * 
+ * @param {Object} network - Network configuration
+ * @returns {Object} ethers JSON-RPC provider
+ */
+function createProvider(network) {
+  return new ethers.JsonRpcProvider(network.rpcUrl, undefined, { cacheTimeout: -1 });
+}
+
+/**
+ * Read the fee settings of a network
+ * Fees are configured in gwei. Unset fees are taken from the node's estimate.
+ * 
+ * @param {Object} network - Network configuration
+ * @returns {Object} Max fee and priority fee in wei (or null) and the gas limit multiplier
+ */
+function getFeeSettings(network) {
+  const fees = network.fees || {};
+  const toWei = value => (value === undefined || value === null ? null : ethers.parseUnits(String(value), 'gwei'));
+  
+  return {
+    maxFeePerGas: toWei(fees.maxFeePerGas),
+    maxPriorityFeePerGas: toWei(fees.maxPriorityFeePerGas),
+    gasLimitMultiplier: fees.gasLimitMultiplier || 1
+  };
+}
+
+/**
+ * Check the fee settings of every network
+ * 
+ * @param {Object} networks - Network configurations keyed by name
+ * @throws {Error} If a fee setting is not a usable number
+ */
+function validateFeeSettings(networks) {
+  for (const [name, network] of Object.entries(networks)) {
+    let settings;
+    try {
+      settings = getFeeSettings(network);
+    } catch (error) {
+      throw new Error(`Invalid fee settings for ${name}: ${error.shortMessage || error.message}`);
+    }
+    
+    if (typeof settings.gasLimitMultiplier !== 'number' || settings.gasLimitMultiplier < 1) {
+      throw new Error(`Invalid gasLimitMultiplier for ${name}: must be a number of at least 1`);
+    }
+    
+    if (settings.maxFeePerGas !== null && settings.maxPriorityFeePerGas !== null &&
+        settings.maxPriorityFeePerGas > settings.maxFeePerGas) {
+      throw new Error(`Invalid fee settings for ${name}: maxPriorityFeePerGas is above maxFeePerGas`);
+    }
+  }
+}
+
+/**
+ * Raise a fee by FEE_BUMP_PERCENT, a number of times
+ * 
+ * @param {bigint} fee - Fee in wei
+ * @param {number} times - Number of bumps
+ * @returns {bigint} Raised fee, rounded up
+ */
+function bumpFee(fee, times = 1) {
+  let bumped = fee;
+  for (let i = 0; i < times; i++) {
+    bumped = (bumped * (100n + FEE_BUMP_PERCENT) + 99n) / 100n;
+  }
+  return bumped;
+}
+
+/**
+ * Work out the fee fields of a transaction
+ * Networks without EIP-1559 support get a legacy gas price.
+ * 
+ * @param {Object} provider - Ethers provider
+ * @param {Object} network - Network configuration
+ * @param {number} bumps - Number of times to raise the fees, for retries
+ * @returns {Promise<Object>} Fee fields to spread into a transaction request
+ */
+async function getFeeOverrides(provider, network, bumps = 0) {
+  const settings = getFeeSettings(network);
+  const feeData = await provider.getFeeData();
+  
+  if (feeData.maxFeePerGas === null && settings.maxFeePerGas === null) {
+    return { gasPrice: bumpFee(feeData.gasPrice, bumps) };
+  }
+  
+  const maxFeePerGas = bumpFee(settings.maxFeePerGas ?? feeData.maxFeePerGas, bumps);
+  const maxPriorityFeePerGas = bumpFee(settings.maxPriorityFeePerGas ?? feeData.maxPriorityFeePerGas ?? 0n, bumps);
+  
+  return {
+    type: 2,
+    maxFeePerGas,
+    maxPriorityFeePerGas: maxPriorityFeePerGas > maxFeePerGas ? maxFeePerGas : maxPriorityFeePerGas
+  };
+}
+
+/**
+ * Estimate the gas limit of a transaction, applying the network's multiplier
+ * 
+ * @param {Object} signer - Signer that will send the transaction
+ * @param {Object} network - Network configuration
+ * @param {Object} txRequest - Transaction request
+ * @returns {Promise<bigint>} Gas limit
+ */
+async function estimateGasLimit(signer, network, txRequest) {
+  const { gasLimitMultiplier } = getFeeSettings(network);
+  const estimate = await signer.estimateGas(txRequest);
+  return estimate * BigInt(Math.round(gasLimitMultiplier * 100)) / 100n;
+}
+
+/**
+ * Work out the most a transaction can cost
+ * 
+ * @param {Object} tx - Transaction with a gas limit and fee fields
+ * @returns {bigint} Gas limit times the max fee (or gas price) in wei
+ */
+function getMaxTransactionCost(tx) {
+  return BigInt(tx.gasLimit) * BigInt(tx.maxFeePerGas ?? tx.gasPrice);
+}
+
+/**
+ * Collect the messages of a failed send, including the one from the node
+ * 
+ * @param {Error} error - Error thrown while sending
+ * @returns {string} Messages to match against
+ */
+function getSendErrorMessage(error) {
+  const nodeMessage = error.info && error.info.error ? error.info.error.message : '';
+  return `${error.shortMessage || ''} ${error.message || ''} ${nodeMessage || ''}`;
+}
+
+/**
+ * Check whether a send failed because another transaction at the same nonce
+ * pays more, which a retry with higher fees replaces
+ * 
+ * @param {Error} error - Error thrown while sending
+ * @returns {boolean} True for "replacement underpriced" errors
+ */
+function isUnderpricedError(error) {
+  return error.code === 'REPLACEMENT_UNDERPRICED' ||
+    /replacement (transaction |fee )?(underpriced|too low)/i.test(getSendErrorMessage(error));
+}
+
+/**
+ * Check whether a send failed because the node already has the transaction,
+ * from an earlier broadcast whose response was lost
+ * 
+ * @param {Error} error - Error thrown while sending
+ * @returns {boolean} True for "already known" errors
+ */
+function isAlreadyKnownError(error) {
+  return /already known|known transaction|already imported/i.test(getSendErrorMessage(error));
+}
+
+/**
+ * Check whether a send failed because its nonce was used in the meantime,
+ * which a retry at the next free nonce solves
+ * 
+ * @param {Error} error - Error thrown while sending
+ * @returns {boolean} True for "nonce too low" errors
+ */
+function isNonceTooLowError(error) {
+  return error.code === 'NONCE_EXPIRED' ||
+    /nonce too low|nonce has already been used/i.test(getSendErrorMessage(error));
+}
+
+/**
+ * Find an earlier attempt of a send that reached the node after all
+ * 
+ * @param {Object} signer - Signer that sent the attempts
+ * @param {Array<Object>} attempts - Populated transactions sent so far
+ * @returns {Promise<Object|null>} Transaction response of a pending or mined attempt, or null if there is none
+ */
+async function findSentAttempt(signer, attempts) {
+  for (const attempt of attempts) {
+    const hash = ethers.keccak256(await signer.signTransaction(attempt));
+    const response = await signer.provider.getTransaction(hash);
+    if (response) {
+      return response;
+    }
+  }
+  return null;
+}
+
+/**
+ * Look up a transaction the node reported as already known
+ * Signing is deterministic, so signing the same transaction again gives the
+ * hash of the one the node has, without broadcasting it a second time.
+ * 
+ * @param {Object} signer - Signer that sent the transaction
+ * @param {Object} tx - Populated transaction that was sent
+ * @param {string} label - Name of the transaction for log messages
+ * @param {Object} logger - console, or a logger with the same log, warn and error methods
+ * @returns {Promise<Object>} Transaction response of the known transaction
+ * @throws {Error} If the node does not return the transaction
+ */
+async function getKnownTransaction(signer, tx, label, logger) {
+  const hash = ethers.keccak256(await signer.signTransaction(tx));
+  logger.warn(`The node already has the ${label} (${hash}), waiting for it instead of sending it again...`);
+  
+  for (let lookup = 1; lookup <= MAX_SEND_ATTEMPTS; lookup++) {
+    const response = await signer.provider.getTransaction(hash);
+    if (response) {
+      return response;
+    }
+    await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+  }
+  
+  throw new Error(`The node reported the ${label} as already known, but transaction ${hash} was not found`);
+}
+
+/**
+ * Send a transaction with the network's fee settings
+ * Sends that fail with "replacement underpriced" are retried at the same nonce
+ * with higher fees. Sends that fail with "nonce too low" are retried at the
+ * next pending nonce, but only once none of the earlier attempts turns out to
+ * be pending or mined, so that the transaction never goes on chain twice. A
+ * transaction the node reports as already known counts as sent.
+ * 
+ * @param {Object} signer - Signer connected to the network's provider
+ * @param {Object} network - Network configuration
+ * @param {Object} txRequest - Transaction request, e.g. from populateTransaction
+ * @param {string} label - Name of the transaction for log messages
+ * @param {Object} logger - console, or a logger with the same log, warn and error methods
+ * @returns {Promise<Object>} Sent transaction response
+ */
+async function sendTransaction(signer, network, txRequest, label = 'transaction', logger = console) {
+  const request = { ...txRequest };
+  if (request.gasLimit === undefined || request.gasLimit === null) {
+    request.gasLimit = await estimateGasLimit(signer, network, request);
+  }
+  
+  const attempts = [];
+  for (let attempt = 1; ; attempt++) {
+    const fees = await getFeeOverrides(signer.provider, network, attempt - 1);
+    const tx = await signer.populateTransaction({ ...request, ...fees });
+    // Underpriced retries replace the first attempt, so they keep its nonce
+    request.nonce = tx.nonce;
+    attempts.push(tx);
+    
+    try {
+      return await signer.sendTransaction(tx);
+    } catch (error) {
+      if (isAlreadyKnownError(error)) {
+        return getKnownTransaction(signer, tx, label, logger);
+      }
+      
+      const nonceTooLow = isNonceTooLowError(error);
+      if (attempt >= MAX_SEND_ATTEMPTS || !(nonceTooLow || isUnderpricedError(error))) {
+        throw error;
+      }
+      
+      if (nonceTooLow) {
+        // The nonce may have been taken by one of our own attempts whose answer was lost
+        const sent = await findSentAttempt(signer, attempts);
+        if (sent) {
+          logger.warn(`Sending ${label} failed (${error.shortMessage || error.message}), but it already reached the node as ${sent.hash}`);
+          return sent;
+        }
+        request.nonce = await signer.provider.getTransactionCount(await signer.getAddress(), 'pending');
+      }
+      
+      logger.warn(`Sending ${label} failed (${error.shortMessage || error.message}), retrying at nonce ${request.nonce} with higher fees (attempt ${attempt + 1}/${MAX_SEND_ATTEMPTS})...`);
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+    }
+  }
+}
+
+/**
+ * Wait for a transaction to be mined
+ * A transaction that was sped up counts as mined once its replacement is.
+ * 
+ * @param {Object} tx - Transaction response
+ * @param {Object} logger - console, or a logger with the same log, warn and error methods
+ * @returns {Promise<Object>} Receipt of the transaction or its replacement
+ */
+async function waitForTransaction(tx, logger = console) {
+  try {
+    return await tx.wait();
+  } catch (error) {
+    if (error.code === 'TRANSACTION_REPLACED' && !error.cancelled) {
+      logger.log(`Transaction ${tx.hash} was sped up and replaced by ${error.replacement.hash}`);
+      return error.receipt;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Find which of a set of networks a transaction was sent on
+ * 
+ * @param {Array<Object>} networkList - Network configurations to search
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<Object|null>} Network configuration, or null if no network knows the transaction
+ */
+async function findTransactionNetwork(networkList, txHash) {
+  for (const network of networkList) {
+    try {
+      if (await createProvider(network).getTransaction(txHash)) {
+        return network;
+      }
+    } catch (error) {
+      console.warn(`Could not search ${network.name} for ${txHash}: ${error.shortMessage || error.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+ * Rebroadcast a pending transaction at the same nonce with higher fees
+ * Fees are raised by at least FEE_BUMP_PERCENT, or to the current network
+ * fees if those are higher.
+ * 
+ * @param {Object} signer - Signer that sent the original transaction
+ * @param {Object} network - Network configuration
+ * @param {string} txHash - Hash of the pending transaction
+ * @param {Function} confirmReplacement - Optional async check of the replacement before it is sent, returning false cancels it
+ * @returns {Promise<Object>} Replacement transaction response
+ * @throws {Error} If the transaction is unknown, already mined, sent by another account or the replacement is cancelled
+ */
+async function speedUpTransaction(signer, network, txHash, confirmReplacement = null) {
+  const provider = signer.provider;
+  const tx = await provider.getTransaction(txHash);
+  
+  if (!tx) {
+    throw new Error(`Transaction ${txHash} not found on ${network.name}`);
+  }
+  if (tx.blockNumber !== null) {
+    throw new Error(`Transaction ${txHash} is already mined in block ${tx.blockNumber}`);
+  }
+  
+  const signerAddress = await signer.getAddress();
+  if (tx.from.toLowerCase() !== signerAddress.toLowerCase()) {
+    throw new Error(`Transaction ${txHash} was sent by ${tx.from}, not by ${signerAddress}`);
+  }
+  
+  const current = await getFeeOverrides(provider, network);
+  const atLeast = (a, b) => (b !== undefined && b > a ? b : a);
+  const replacement = {
+    to: tx.to,
+    data: tx.data,
+    value: tx.value,
+    nonce: tx.nonce,
+    gasLimit: tx.gasLimit,
+    chainId: tx.chainId
+  };
+  
+  if (tx.maxFeePerGas !== null) {
+    replacement.type = 2;
+    replacement.maxFeePerGas = atLeast(bumpFee(tx.maxFeePerGas), current.maxFeePerGas);
+    replacement.maxPriorityFeePerGas = atLeast(bumpFee(tx.maxPriorityFeePerGas), current.maxPriorityFeePerGas);
+  } else {
+    replacement.gasPrice = atLeast(bumpFee(tx.gasPrice), current.gasPrice ?? current.maxFeePerGas);
+  }
+  
+  console.log(`Speeding up transaction ${txHash} (nonce ${tx.nonce}) on ${network.name}...`);
+  if (replacement.gasPrice) {
+    console.log(`Gas price: ${ethers.formatUnits(tx.gasPrice, 'gwei')} -> ${ethers.formatUnits(replacement.gasPrice, 'gwei')} gwei`);
+  } else {
+    console.log(`Max fee: ${ethers.formatUnits(tx.maxFeePerGas, 'gwei')} -> ${ethers.formatUnits(replacement.maxFeePerGas, 'gwei')} gwei`);
+    console.log(`Priority fee: ${ethers.formatUnits(tx.maxPriorityFeePerGas, 'gwei')} -> ${ethers.formatUnits(replacement.maxPriorityFeePerGas, 'gwei')} gwei`);
+  }
+  
+  if (confirmReplacement && !(await confirmReplacement(replacement))) {
+    throw new Error('Speed-up cancelled');
+  }
+  
+  return signer.sendTransaction(replacement);
+}
+
+module.exports = {
+  createProvider,
+  getFeeSettings,
+  validateFeeSettings,
+  getFeeOverrides,
+  estimateGasLimit,
+  getMaxTransactionCost,
+  sendTransaction,
+  waitForTransaction,
+  findTransactionNetwork,
+  speedUpTransaction
+};
@@ -0,0 +1,439 @@
+/**
+ * Tests of the MyNFT contract
+ * 
+ * Compiles contracts/MyNFT.sol and runs it on two in-process ganache chains,
+ * with the mock message contract from contracts/test standing in for VIA.
+ * 
+ *   npm run test:contracts
+ */
+
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ganache = require('ganache');
+const { ethers } = require('ethers');
+const {
+  deployMockMessage,
+  getMockMessage,
+  findSentMessages
+} = require('../../scripts/utils/local-messaging');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+const CONTRACT_SOURCE = 'contracts/MyNFT.sol';
+
+// Well-known development mnemonic, never use it on a public network
+const MNEMONIC = 'test test test test test test test test test test test junk';
+
+// Chain IDs of the two test chains, a chain with no peer configured
+const SOURCE_CHAIN_ID = 1337;
+const DEST_CHAIN_ID = 1338;
+const INACTIVE_CHAIN_ID = 9999;
+
+// Metadata every mint stores, see MyNFT.mint
+const DESCRIPTION = 'Cross-chain NFT that can be bridged between networks';
+const IMAGE = 'https://i.postimg.cc/FKkpPByb/cl-logo.png';
+
+// Message payload of MyNFT.bridge: (recipient, tokenId, NFTMetadata)
+const MESSAGE_TYPES = ['address', 'uint256', 'tuple(string name, string description, string image, uint256 chainId, uint256 mintedAt)'];
+
+/**
+ * Compile MyNFT with the same import resolution as deploy.js, from the
+ * repository root and node_modules
+ * 
+ * @returns {Object} ABI and bytecode
+ * @throws {Error} If the compiler reports an error
+ */
+function compileMyNFT() {
+  const solc = require('solc');
+  const input = {
+    language: 'Solidity',
+    sources: {
+      [CONTRACT_SOURCE]: { content: fs.readFileSync(path.join(ROOT_DIR, CONTRACT_SOURCE), 'utf8') }
+    },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+  
+  const findImports = importPath => {
+    for (const baseDir of [ROOT_DIR, path.join(ROOT_DIR, 'node_modules')]) {
+      const filePath = path.join(baseDir, importPath);
+      if (fs.existsSync(filePath)) {
+        return { contents: fs.readFileSync(filePath, 'utf8') };
+      }
+    }
+    return { error: `File not found: ${importPath}` };
+  };
+  
+  const output = JSON.parse(solc.compile(JSON.stringify(input), { import: findImports }));
+  const errors = (output.errors || []).filter(message => message.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(error => error.formattedMessage).join('\n'));
+  }
+  
+  const compiled = output.contracts[CONTRACT_SOURCE].MyNFT;
+  return { abi: compiled.abi, bytecode: '0x' + compiled.evm.bytecode.object };
+}
+
+/**
+ * Report reverts the way browser wallets do, with the revert data in the
+ * error's data field, so that ethers decodes the reason for estimateGas too.
+ * Ganache nests the data in data.result, which ethers does not look into.
+ * 
+ * @param {Object} ganacheProvider - EIP-1193 provider of ganache
+ * @returns {Object} EIP-1193 provider
+ */
+function asWallet(ganacheProvider) {
+  return {
+    request: async args => {
+      try {
+        return await ganacheProvider.request(args);
+      } catch (error) {
+        if (typeof error.data?.result === 'string') {
+          throw { code: error.code, message: error.message, data: error.data.result };
+        }
+        throw error;
+      }
+    }
+  };
+}
+
+/**
+ * Start an in-process chain with a mock message contract
+ * 
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<Object>} Provider, signers and the mock address
+ */
+async function startChain(chainId) {
+  const ganacheProvider = ganache.provider({
+    wallet: { mnemonic: MNEMONIC },
+    logging: { quiet: true },
+    // Include revert reasons in RPC errors, as wallets do
+    chain: { chainId, vmErrorsOnRPCResponse: true }
+  });
+  const provider = new ethers.BrowserProvider(asWallet(ganacheProvider), chainId, { cacheTimeout: -1 });
+  const [owner, other, relayer] = await Promise.all([0, 1, 9].map(index => provider.getSigner(index)));
+  const messageAddress = await deployMockMessage(relayer);
+  
+  return { chainId, ganacheProvider, provider, owner, other, relayer, messageAddress };
+}
+
+/**
+ * Decode the JSON of a data URI returned by tokenURI
+ * 
+ * @param {string} uri - Token URI
+ * @returns {Object} Parsed JSON
+ */
+function decodeTokenURI(uri) {
+  const prefix = 'data:application/json;base64,';
+  assert.ok(uri.startsWith(prefix), `unexpected token URI ${uri}`);
+  return JSON.parse(Buffer.from(uri.slice(prefix.length), 'base64').toString('utf8'));
+}
+
+describe('MyNFT', () => {
+  let artifacts;
+  let source;
+  let dest;
+  let sourceNFT;
+  let destNFT;
+  
+  /**
+   * Deploy MyNFT on a chain and configure it for the given peers
+   * 
+   * @param {Object} chain - Chain from startChain
+   * @param {Object} peers - Map of chain ID to peer address
+   * @returns {Promise<Object>} Contract connected to the chain's owner
+   */
+  const deployNFT = async (chain, peers = {}) => {
+    const factory = new ethers.ContractFactory(artifacts.abi, artifacts.bytecode, chain.owner);
+    const contract = await factory.deploy(await chain.owner.getAddress());
+    await contract.waitForDeployment();
+    
+    const chainIds = Object.keys(peers);
+    if (chainIds.length > 0) {
+      const tx = await contract.configureClient(chain.messageAddress, chainIds, Object.values(peers), chainIds.map(() => 1));
+      await tx.wait();
+    }
+    return contract;
+  };
+  
+  /**
+   * Mint an NFT and return its token ID
+   * 
+   * @param {Object} contract - MyNFT connected to the minter
+   * @returns {Promise<bigint>} Token ID
+   */
+  const mint = async contract => {
+    const receipt = await (await contract.mint()).wait();
+    const event = receipt.logs.map(log => contract.interface.parseLog(log)).find(parsed => parsed?.name === 'NFTMinted');
+    return event.args.tokenId;
+  };
+  
+  /**
+   * Deliver a message to destNFT through the destination chain's mock
+   * 
+   * @param {Object} message - txId, sender and payload of the message
+   * @returns {Promise<Object>} Receipt of the delivery
+   */
+  const deliver = async ({ txId, sender, data }) => {
+    const mock = getMockMessage(dest.messageAddress, dest.relayer);
+    const tx = await mock.deliverMessage(txId, SOURCE_CHAIN_ID, sender, await destNFT.getAddress(), data);
+    return tx.wait();
+  };
+  
+  before(async () => {
+    artifacts = compileMyNFT();
+    source = await startChain(SOURCE_CHAIN_ID);
+    dest = await startChain(DEST_CHAIN_ID);
+    
+    // Deploy both first, then point each at the other
+    sourceNFT = await deployNFT(source);
+    destNFT = await deployNFT(dest, { [SOURCE_CHAIN_ID]: await sourceNFT.getAddress() });
+    await (await sourceNFT.configureClient(
+      source.messageAddress, [DEST_CHAIN_ID], [await destNFT.getAddress()], [1]
+    )).wait();
+  });
+  
+  after(async () => {
+    for (const chain of [source, dest]) {
+      if (chain) {
+        chain.provider.destroy();
+        await chain.ganacheProvider.disconnect();
+      }
+    }
+  });
+  
+  describe('mint', () => {
+    test('token IDs start at chainid * 10**4 and increase by one', async () => {
+      assert.equal(await sourceNFT.nextNftId(), BigInt(SOURCE_CHAIN_ID) * 10n ** 4n);
+      
+      const first = await mint(sourceNFT);
+      const second = await mint(sourceNFT.connect(source.other));
+      assert.equal(first, BigInt(SOURCE_CHAIN_ID) * 10n ** 4n);
+      assert.equal(second, first + 1n);
+      assert.equal(await sourceNFT.nextNftId(), second + 1n);
+      assert.equal(await sourceNFT.ownerOf(first), await source.owner.getAddress());
+      assert.equal(await sourceNFT.ownerOf(second), await source.other.getAddress());
+    });
+    
+    test('a separately deployed contract on another chain uses its own ID range', async () => {
+      assert.equal(await destNFT.nextNftId(), BigInt(DEST_CHAIN_ID) * 10n ** 4n);
+    });
+    
+    test('stores the metadata of the minting chain', async () => {
+      const tokenId = await mint(sourceNFT);
+      const block = await source.provider.getBlock('latest');
+      const metadata = await sourceNFT.getTokenMetadata(tokenId);
+      
+      assert.equal(metadata.name, `Cross Chain NFT #${tokenId}`);
+      assert.equal(metadata.description, DESCRIPTION);
+      assert.equal(metadata.image, IMAGE);
+      assert.equal(metadata.chainId, BigInt(SOURCE_CHAIN_ID));
+      assert.equal(metadata.mintedAt, BigInt(block.timestamp));
+    });
+  });
+  
+  describe('tokenURI', () => {
+    test('returns base64 encoded JSON built from the metadata', async () => {
+      const tokenId = await mint(sourceNFT);
+      const metadata = await sourceNFT.getTokenMetadata(tokenId);
+      
+      assert.deepEqual(decodeTokenURI(await sourceNFT.tokenURI(tokenId)), {
+        name: `Cross Chain NFT #${tokenId}`,
+        description: DESCRIPTION,
+        image: IMAGE,
+        attributes: [
+          { trait_type: 'Origin Chain', value: String(SOURCE_CHAIN_ID) },
+          { trait_type: 'Minted At', value: metadata.mintedAt.toString() }
+        ]
+      });
+    });
+    
+    test('reverts for a token that does not exist', async () => {
+      await assert.rejects(sourceNFT.tokenURI(1n), /ERC721Metadata: URI query for nonexistent token/);
+      await assert.rejects(sourceNFT.getTokenMetadata(1n), /MyNFT: token does not exist/);
+    });
+  });
+  
+  describe('getTokensByOwner and getTokensWithMetadata', () => {
+    test('list the tokens of an owner with their metadata', async () => {
+      const wallet = ethers.Wallet.createRandom().address;
+      const first = await mint(sourceNFT.connect(source.other));
+      const second = await mint(sourceNFT.connect(source.other));
+      await (await sourceNFT.connect(source.other).transferFrom(await source.other.getAddress(), wallet, first)).wait();
+      await (await sourceNFT.connect(source.other).transferFrom(await source.other.getAddress(), wallet, second)).wait();
+      
+      assert.deepEqual([...await sourceNFT.getTokensByOwner(wallet)], [first, second]);
+      
+      const [tokenIds, metadataList] = await sourceNFT.getTokensWithMetadata(wallet);
+      assert.deepEqual([...tokenIds], [first, second]);
+      assert.equal(metadataList.length, 2);
+      assert.equal(metadataList[0].name, `Cross Chain NFT #${first}`);
+      assert.equal(metadataList[1].name, `Cross Chain NFT #${second}`);
+      assert.equal(metadataList[1].chainId, BigInt(SOURCE_CHAIN_ID));
+    });
+    
+    test('return empty arrays for an address without tokens', async () => {
+      const wallet = ethers.Wallet.createRandom().address;
+      assert.deepEqual([...await sourceNFT.getTokensByOwner(wallet)], []);
+      
+      const [tokenIds, metadataList] = await sourceNFT.getTokensWithMetadata(wallet);
+      assert.equal(tokenIds.length, 0);
+      assert.equal(metadataList.length, 0);
+    });
+  });
+  
+  describe('bridge', () => {
+    // The frontend's bridgeNFT matches on this part of the revert reason
+    test('reverts with "caller is not the owner" for an NFT of someone else', async () => {
+      const tokenId = await mint(sourceNFT);
+      const recipient = await source.other.getAddress();
+      
+      await assert.rejects(
+        sourceNFT.connect(source.other).bridge(DEST_CHAIN_ID, recipient, tokenId),
+        error => {
+          assert.match(error.message, /MyNFT: caller is not the owner of the NFT/);
+          assert.ok(error.message.includes('caller is not the owner'));
+          return true;
+        }
+      );
+      assert.equal(await sourceNFT.ownerOf(tokenId), await source.owner.getAddress());
+    });
+    
+    test('reverts for a destination chain without a configured peer', async () => {
+      const tokenId = await mint(sourceNFT);
+      const recipient = await source.owner.getAddress();
+      
+      await assert.rejects(
+        sourceNFT.bridge(INACTIVE_CHAIN_ID, recipient, tokenId),
+        /MessageClient: destination chain not active/
+      );
+      assert.equal(await sourceNFT.ownerOf(tokenId), recipient);
+    });
+    
+    test('reverts for a token that does not exist', async () => {
+      await assert.rejects(
+        sourceNFT.bridge(DEST_CHAIN_ID, await source.owner.getAddress(), 1n),
+        /ERC721: invalid token ID/
+      );
+    });
+    
+    test('burns the NFT and sends its metadata to the peer', async () => {
+      const tokenId = await mint(sourceNFT);
+      const owner = await source.owner.getAddress();
+      const recipient = await source.other.getAddress();
+      const metadata = await sourceNFT.getTokenMetadata(tokenId);
+      const fromBlock = await source.provider.getBlockNumber();
+      
+      const receipt = await (await sourceNFT.bridge(DEST_CHAIN_ID, recipient, tokenId)).wait();
+      const bridged = receipt.logs.map(log => sourceNFT.interface.parseLog(log)).find(parsed => parsed?.name === 'NFTBridged');
+      assert.deepEqual([...bridged.args], [owner, tokenId, BigInt(DEST_CHAIN_ID), recipient]);
+      await assert.rejects(sourceNFT.ownerOf(tokenId), /ERC721: invalid token ID/);
+      
+      const [message] = await findSentMessages(source.provider, source.messageAddress, fromBlock + 1);
+      assert.equal(message.sender, await sourceNFT.getAddress());
+      assert.equal(message.recipient, await destNFT.getAddress());
+      assert.equal(message.destChainId, DEST_CHAIN_ID);
+      
+      const [payloadRecipient, payloadTokenId, payloadMetadata] = ethers.AbiCoder.defaultAbiCoder().decode(MESSAGE_TYPES, message.data);
+      assert.equal(payloadRecipient, recipient);
+      assert.equal(payloadTokenId, tokenId);
+      assert.deepEqual(payloadMetadata.toObject(), metadata.toObject());
+    });
+  });
+  
+  describe('_processMessage', () => {
+    test('mints the bridged NFT to the recipient with the metadata it was sent with', async () => {
+      const tokenId = await mint(sourceNFT);
+      const metadata = await sourceNFT.getTokenMetadata(tokenId);
+      const tokenURI = await sourceNFT.tokenURI(tokenId);
+      const recipient = await dest.other.getAddress();
+      const fromBlock = await source.provider.getBlockNumber();
+      
+      await (await sourceNFT.bridge(DEST_CHAIN_ID, recipient, tokenId)).wait();
+      const [message] = await findSentMessages(source.provider, source.messageAddress, fromBlock + 1);
+      const receipt = await deliver(message);
+      
+      const received = receipt.logs
+        .filter(log => log.address === destNFT.target)
+        .map(log => destNFT.interface.parseLog(log))
+        .find(parsed => parsed?.name === 'NFTReceived');
+      assert.deepEqual([...received.args], [recipient, tokenId, BigInt(SOURCE_CHAIN_ID)]);
+      
+      assert.equal(await destNFT.ownerOf(tokenId), recipient);
+      assert.deepEqual((await destNFT.getTokenMetadata(tokenId)).toObject(), metadata.toObject());
+      assert.equal(await destNFT.tokenURI(tokenId), tokenURI);
+      
+      // The origin chain stays that of the mint, not the chain it now lives on
+      const json = decodeTokenURI(await destNFT.tokenURI(tokenId));
+      assert.equal(json.attributes[0].value, String(SOURCE_CHAIN_ID));
+      
+      // Minting on the destination chain does not advance its own ID range
+      assert.equal(await destNFT.nextNftId(), BigInt(DEST_CHAIN_ID) * 10n ** 4n);
+    });
+    
+    test('decodes a payload encoded off-chain', async () => {
+      const recipient = ethers.Wallet.createRandom().address;
+      const tokenId = 4242n;
+      const metadata = ['Imported #4242', 'Encoded by the test', 'ipfs://image', 43113n, 1700000000n];
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(MESSAGE_TYPES, [recipient, tokenId, metadata]);
+      
+      await deliver({ txId: 1000n, sender: await sourceNFT.getAddress(), data });
+      
+      assert.equal(await destNFT.ownerOf(tokenId), recipient);
+      const [tokenIds, metadataList] = await destNFT.getTokensWithMetadata(recipient);
+      assert.deepEqual([...tokenIds], [tokenId]);
+      assert.deepEqual([...metadataList[0]], metadata);
+      assert.deepEqual(decodeTokenURI(await destNFT.tokenURI(tokenId)), {
+        name: 'Imported #4242',
+        description: 'Encoded by the test',
+        image: 'ipfs://image',
+        attributes: [
+          { trait_type: 'Origin Chain', value: '43113' },
+          { trait_type: 'Minted At', value: '1700000000' }
+        ]
+      });
+    });
+    
+    test('rejects messages from a contract other than the configured peer', async () => {
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(
+        MESSAGE_TYPES, [await dest.other.getAddress(), 1n, ['Forged', '', '', SOURCE_CHAIN_ID, 0]]
+      );
+      const mock = getMockMessage(dest.messageAddress, dest.relayer);
+      
+      await assert.rejects(
+        mock.deliverMessage.staticCall(1001n, SOURCE_CHAIN_ID, await source.other.getAddress(), await destNFT.getAddress(), data),
+        /MessageClient: not authorized/
+      );
+    });
+    
+    test('rejects messages that do not come through the message contract', async () => {
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(
+        MESSAGE_TYPES, [await dest.other.getAddress(), 1n, ['Forged', '', '', SOURCE_CHAIN_ID, 0]]
+      );
+      
+      await assert.rejects(
+        destNFT.connect(dest.other).messageProcess.staticCall(
+          1002n, SOURCE_CHAIN_ID, await sourceNFT.getAddress(), ethers.ZeroAddress, 0, data
+        ),
+        /MessageClient: not authorized/
+      );
+    });
+    
+    test('rejects a token ID that already exists on the destination chain', async () => {
+      const tokenId = await mint(destNFT);
+      const data = ethers.AbiCoder.defaultAbiCoder().encode(
+        MESSAGE_TYPES, [await dest.other.getAddress(), tokenId, ['Duplicate', '', '', SOURCE_CHAIN_ID, 0]]
+      );
+      const mock = getMockMessage(dest.messageAddress, dest.relayer);
+      
+      await assert.rejects(
+        mock.deliverMessage.staticCall(1003n, SOURCE_CHAIN_ID, await sourceNFT.getAddress(), await destNFT.getAddress(), data),
+        /ERC721: token already minted/
+      );
+      assert.equal(await destNFT.ownerOf(tokenId), await dest.owner.getAddress());
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * End-to-end test of decommissioning a network through Safe batches
+ * 
+ * Deploys to the two chains of the "local" profile, decommissions local-2 with
+ * `scripts/admin.js decommission --safe-batch`, runs the batches the way the
+ * Safe would, and runs the command again to archive the network.
+ * 
+ *   npm run test:e2e
+ */
+
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { startLocalChains, runScript } = require('./local-chains');
+
+// Ports after the ones of deploy-bridge.test.js, which may run at the same time
+const PORT_OFFSET = 2;
+
+describe('admin decommission with --safe-batch', () => {
+  let local;
+  let source;
+  let dest;
+  let batchDir;
+  
+  /**
+   * Read the MyNFT deployment of a network
+   * 
+   * @param {string} networkName - Network name
+   * @returns {Object} Parsed MyNFT.json
+   */
+  const readDeployment = networkName =>
+    JSON.parse(fs.readFileSync(path.join(local.env.DEPLOYMENTS_DIR, networkName, 'MyNFT.json'), 'utf8'));
+  
+  before(async () => {
+    local = await startLocalChains({ portOffset: PORT_OFFSET });
+    [source, dest] = local.chains;
+    batchDir = path.join(local.env.DEPLOYMENTS_DIR, 'safe-batches');
+    
+    const result = await runScript('deploy.js', ['--no-mint'], local.env);
+    assert.equal(result.code, 0, result.output);
+  });
+  
+  after(async () => {
+    if (local) {
+      await local.stop();
+    }
+  });
+  
+  test('the first run writes the calls to Safe batches and keeps the files', async () => {
+    const result = await runScript('admin.js', ['decommission', dest.networkName, '--safe-batch', '--yes'], local.env);
+    assert.equal(result.code, 0, result.output);
+    assert.match(result.output, /run this command again/);
+    
+    assert.deepEqual(fs.readdirSync(batchDir).sort(), [`${source.networkName}.json`, `${dest.networkName}.json`]);
+    assert.ok(fs.existsSync(path.join(local.env.DEPLOYMENTS_DIR, dest.networkName, 'MyNFT.json')));
+  });
+  
+  test('once the Safe has run the batches, the second run archives the network', async () => {
+    // The deployer still owns both deployments, so it stands in for the Safe
+    for (const chain of [source, dest]) {
+      const batch = JSON.parse(fs.readFileSync(path.join(batchDir, `${chain.networkName}.json`), 'utf8'));
+      const owner = new ethers.Wallet(local.env.PRIVATE_KEY, chain.provider);
+      for (const transaction of batch.transactions) {
+        await (await owner.sendTransaction({ to: transaction.to, data: transaction.data })).wait();
+      }
+    }
+    fs.rmSync(batchDir, { recursive: true });
+    
+    const sourceDeployment = readDeployment(source.networkName);
+    const sourceContract = new ethers.Contract(sourceDeployment.address, sourceDeployment.abi, source.provider);
+    assert.equal((await sourceContract.CHAINS(dest.chainId)).endpoint, ethers.ZeroAddress);
+    
+    const result = await runScript('admin.js', ['decommission', dest.networkName, '--safe-batch', '--yes'], local.env);
+    assert.equal(result.code, 0, result.output);
+    assert.match(result.output, new RegExp(`${dest.networkName} is decommissioned`));
+    
+    // Nothing was left to batch
+    assert.equal(fs.existsSync(batchDir), false);
+    
+    const entries = fs.readdirSync(local.env.DEPLOYMENTS_DIR);
+    assert.ok(!entries.includes(dest.networkName));
+    assert.ok(entries.some(entry => entry.startsWith(`${dest.networkName}.decommissioned-`)));
+    
+    const frontendConfig = JSON.parse(fs.readFileSync(local.env.FRONTEND_CONFIG_PATH, 'utf8'));
+    assert.deepEqual(Object.keys(frontendConfig), [String(source.chainId)]);
+  });
+});
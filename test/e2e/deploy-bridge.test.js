@@ -0,0 +1,121 @@
+/**
+ * End-to-end test of the deploy and bridge scripts on two local chains
+ * 
+ * Runs scripts/deploy.js and scripts/bridge.js unchanged against the "local"
+ * profile, with messages relayed by the harness in local-chains.js.
+ * 
+ *   npm run test:e2e
+ */
+
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { startLocalChains, startRelay, runScript } = require('./local-chains');
+const { getMockMessage } = require('../../scripts/utils/local-messaging');
+
+describe('deploy and bridge on local chains', () => {
+  let local;
+  let source;
+  let dest;
+  let sourceContract;
+  let destContract;
+  let bridgeMessage;
+  
+  /**
+   * Simulate a delivery on the destination chain, to read its revert reason
+   * 
+   * @param {Object} message - Message as found by the relayer
+   * @returns {Promise<void>}
+   */
+  const simulateDelivery = message => getMockMessage(dest.messageAddress, dest.relayer).deliverMessage.staticCall(
+    message.txId, source.chainId, message.sender, message.recipient, message.data
+  );
+  
+  /**
+   * Read a deployment written by deploy.js
+   * 
+   * @param {string} networkName - Network name
+   * @returns {Object} Parsed MyNFT.json
+   */
+  const readDeployment = networkName =>
+    JSON.parse(fs.readFileSync(path.join(local.env.DEPLOYMENTS_DIR, networkName, 'MyNFT.json'), 'utf8'));
+  
+  before(async () => {
+    local = await startLocalChains();
+    [source, dest] = local.chains;
+  });
+  
+  after(async () => {
+    if (local) {
+      await local.stop();
+    }
+  });
+  
+  test('deploy.js deploys to both chains and configures them as peers', async () => {
+    const result = await runScript('deploy.js', ['--mint', '2'], local.env);
+    assert.equal(result.code, 0, result.output);
+    
+    const sourceDeployment = readDeployment(source.networkName);
+    const destDeployment = readDeployment(dest.networkName);
+    assert.equal(sourceDeployment.chainId, source.chainId);
+    assert.equal(destDeployment.chainId, dest.chainId);
+    
+    sourceContract = new ethers.Contract(sourceDeployment.address, sourceDeployment.abi, source.provider);
+    destContract = new ethers.Contract(destDeployment.address, destDeployment.abi, dest.provider);
+    
+    assert.equal(await sourceContract.MESSAGEv3(), source.messageAddress);
+    assert.equal(await destContract.MESSAGEv3(), dest.messageAddress);
+    assert.equal((await sourceContract.CHAINS(dest.chainId)).endpoint, destDeployment.address);
+    assert.equal((await destContract.CHAINS(source.chainId)).endpoint, sourceDeployment.address);
+    
+    const frontendConfig = JSON.parse(fs.readFileSync(local.env.FRONTEND_CONFIG_PATH, 'utf8'));
+    assert.equal(frontendConfig[source.chainId].address, sourceDeployment.address);
+    assert.equal(frontendConfig[dest.chainId].address, destDeployment.address);
+  });
+  
+  test('bridge.js burns the NFT on the source chain and mints it on the destination chain', async () => {
+    const summary = JSON.parse(fs.readFileSync(path.join(local.env.DEPLOYMENTS_DIR, 'deploy-summary.json'), 'utf8'));
+    const sourceReport = summary.networks.find(report => report.network === source.networkName);
+    const tokenId = sourceReport.mintedTokenIds[0];
+    assert.equal(BigInt(tokenId), BigInt(source.chainId) * 10n ** 4n);
+    assert.equal(await sourceContract.ownerOf(tokenId), local.deployer);
+    
+    const metadataBefore = (await sourceContract.getTokenMetadata(tokenId)).toObject();
+    const tokenURIBefore = await sourceContract.tokenURI(tokenId);
+    
+    const relay = await startRelay(local.chains);
+    let result;
+    try {
+      result = await runScript('bridge.js', [source.networkName, dest.networkName, String(tokenId)], local.env);
+    } finally {
+      await relay.stop();
+    }
+    assert.equal(result.code, 0, result.output);
+    assert.deepEqual(relay.errors, []);
+    assert.equal(relay.delivered.length, 1);
+    bridgeMessage = relay.delivered[0];
+    assert.match(result.output, /NFT received on destination chain/);
+    
+    // Burned on the source chain
+    await assert.rejects(sourceContract.ownerOf(tokenId), /ERC721: invalid token ID/);
+    assert.equal(await sourceContract.balanceOf(local.deployer), 1n);
+    
+    // Minted on the destination chain with the same metadata
+    assert.equal(await destContract.ownerOf(tokenId), local.deployer);
+    assert.deepEqual((await destContract.getTokenMetadata(tokenId)).toObject(), metadataBefore);
+    assert.equal(await destContract.tokenURI(tokenId), tokenURIBefore);
+    assert.equal(metadataBefore.chainId, BigInt(source.chainId));
+  });
+  
+  test('a delivered message cannot be delivered again', async () => {
+    assert.ok(bridgeMessage, 'the bridge test delivers a message first');
+    await assert.rejects(simulateDelivery(bridgeMessage), /MockMessageV3: message already delivered/);
+  });
+  
+  test('messages from a contract other than the configured peer are rejected', async () => {
+    const forged = { ...bridgeMessage, txId: bridgeMessage.txId + 1000n, sender: local.deployer };
+    await assert.rejects(simulateDelivery(forged), /MessageClient: not authorized/);
+  });
+});
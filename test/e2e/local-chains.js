@@ -0,0 +1,201 @@
+/**
+ * Local Chains for End-to-End Tests
+ * =================================
+ * 
+ * Runs the networks of the "local" profile as in-process ganache chains, each
+ * with a mock VIA message contract, and relays messages between them so that
+ * the real deploy and bridge scripts can be run against them.
+ */
+
+const ganache = require('ganache');
+const { ethers } = require('ethers');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  deployMockMessage,
+  getMockMessage,
+  findSentMessages,
+  deliverMessage
+} = require('../../scripts/utils/local-messaging');
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+// Well-known development mnemonic, never use it on a public network
+const MNEMONIC = 'test test test test test test test test test test test junk';
+
+// Account 0 deploys and bridges, the last account deploys the mocks and relays
+const DEPLOYER_KEY = ethers.HDNodeWallet.fromPhrase(MNEMONIC, undefined, "m/44'/60'/0'/0/0").privateKey;
+const RELAYER_KEY = ethers.HDNodeWallet.fromPhrase(MNEMONIC, undefined, "m/44'/60'/0'/0/9").privateKey;
+
+// Networks of the profiles in network.config.js that the harness can stand in for
+const PROFILE_CHAINS = {
+  local: [
+    { networkName: 'local-1', chainId: 1337, rpcEnv: 'LOCAL_1_RPC' },
+    { networkName: 'local-2', chainId: 1338, rpcEnv: 'LOCAL_2_RPC' }
+  ],
+  // Shared by the "testnet" and "staging" profiles
+  testnet: [
+    { networkName: 'avalanche-testnet', chainId: 43113, rpcEnv: 'AVALANCHE_TESTNET_RPC' },
+    { networkName: 'base-testnet', chainId: 84532, rpcEnv: 'BASE_TESTNET_RPC' }
+  ]
+};
+
+// First port the chains listen on, moved with E2E_PORT if it is taken
+const DEFAULT_PORT = 18545;
+
+// Interval at which the relayer looks for new messages
+const RELAY_INTERVAL_MS = 500;
+
+/**
+ * Start the local chains and deploy a mock message contract on each
+ * Output of the scripts goes to a scratch directory, so the repository's
+ * deployments and frontend config are left alone.
+ * 
+ * @param {Object} options - Chain options
+ * @param {number} options.portOffset - Added to the first port, so that test files run in parallel get chains of their own
+ * @param {string} options.profile - Profile whose networks the chains stand in for, "local" or "testnet"
+ * @returns {Promise<Object>} Chains, the environment to run scripts with and a stop function
+ */
+async function startLocalChains({ portOffset = 0, profile = 'local' } = {}) {
+  const basePort = Number(process.env.E2E_PORT || DEFAULT_PORT) + portOffset;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mynft-e2e-'));
+  const chains = [];
+  
+  for (const [index, chain] of PROFILE_CHAINS[profile].entries()) {
+    const port = basePort + index;
+    const server = ganache.server({
+      chain: { chainId: chain.chainId },
+      wallet: { mnemonic: MNEMONIC },
+      logging: { quiet: true }
+    });
+    await server.listen(port);
+    
+    const rpcUrl = `http://127.0.0.1:${port}`;
+    const provider = new ethers.JsonRpcProvider(rpcUrl, undefined, { cacheTimeout: -1 });
+    const relayer = new ethers.NonceManager(new ethers.Wallet(RELAYER_KEY, provider));
+    const messageAddress = await deployMockMessage(relayer);
+    
+    chains.push({ ...chain, server, rpcUrl, provider, relayer, messageAddress });
+  }
+  
+  // Register the mocks as the chains' message contracts
+  const registryFile = path.join(workDir, 'chain-registry.json');
+  const registry = {};
+  for (const chain of chains) {
+    registry[chain.chainId] = { name: chain.networkName, message: chain.messageAddress };
+  }
+  fs.writeFileSync(registryFile, JSON.stringify(registry, null, 2));
+  
+  const env = {
+    ...process.env,
+    NFT_PROFILE: profile,
+    SIGNER: 'private-key',
+    PRIVATE_KEY: DEPLOYER_KEY,
+    CHAIN_REGISTRY_FILE: registryFile,
+    DEPLOYMENTS_DIR: path.join(workDir, 'deployments'),
+    FRONTEND_CONFIG_PATH: path.join(workDir, 'frontend-deployments.json')
+  };
+  for (const chain of chains) {
+    env[chain.rpcEnv] = chain.rpcUrl;
+  }
+  
+  const stop = async () => {
+    for (const chain of chains) {
+      chain.provider.destroy();
+      await chain.server.close();
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  };
+  
+  return { chains, env, workDir, deployer: new ethers.Wallet(DEPLOYER_KEY).address, stop };
+}
+
+/**
+ * Relay messages between the local chains until stopped
+ * 
+ * @param {Array<Object>} chains - Chains from startLocalChains
+ * @returns {Promise<Object>} Delivered messages and a stop function
+ */
+async function startRelay(chains) {
+  const delivered = [];
+  const errors = [];
+  const nextBlock = new Map();
+  for (const chain of chains) {
+    nextBlock.set(chain.chainId, (await chain.provider.getBlockNumber()) + 1);
+  }
+  
+  let running = false;
+  const relayOnce = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      for (const source of chains) {
+        const latest = await source.provider.getBlockNumber();
+        const fromBlock = nextBlock.get(source.chainId);
+        if (latest < fromBlock) {
+          continue;
+        }
+        
+        const messages = await findSentMessages(source.provider, source.messageAddress, fromBlock, latest);
+        for (const message of messages) {
+          const dest = chains.find(chain => chain.chainId === message.destChainId);
+          if (!dest) {
+            errors.push(new Error(`Message ${message.txId} from chain ${source.chainId} is for unknown chain ${message.destChainId}`));
+            continue;
+          }
+          await deliverMessage(getMockMessage(dest.messageAddress, dest.relayer), source.chainId, message);
+          delivered.push({ ...message, sourceChainId: source.chainId });
+        }
+        nextBlock.set(source.chainId, latest + 1);
+      }
+    } catch (error) {
+      errors.push(error);
+    } finally {
+      running = false;
+    }
+  };
+  
+  const interval = setInterval(relayOnce, RELAY_INTERVAL_MS);
+  
+  return {
+    delivered,
+    errors,
+    stop: async () => {
+      clearInterval(interval);
+      while (running) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+    }
+  };
+}
+
+/**
+ * Run one of the scripts in scripts/ as a child process
+ * 
+ * @param {string} script - Script file name, e.g. 'deploy.js'
+ * @param {Array<string>} args - Command line arguments
+ * @param {Object} env - Environment from startLocalChains
+ * @returns {Promise<Object>} Exit code and combined output
+ */
+function runScript(script, args, env) {
+  return new Promise(resolve => {
+    execFile(
+      process.execPath,
+      [path.join(ROOT_DIR, 'scripts', script), ...args],
+      { cwd: ROOT_DIR, env, timeout: 5 * 60 * 1000, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        resolve({ code: error ? error.code ?? 1 : 0, output: stdout + stderr });
+      }
+    );
+  });
+}
+
+module.exports = {
+  startLocalChains,
+  startRelay,
+  runScript
+};
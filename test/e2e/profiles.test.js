@@ -0,0 +1,102 @@
+/**
+ * End-to-end test of two profiles deploying to the same chains
+ * 
+ * Stands in for the chains of the "testnet" profile, which the "staging"
+ * profile shares, deploys both profiles to them and checks that each keeps its
+ * own frontend config, also when one of them decommissions a network.
+ * 
+ *   npm run test:e2e
+ */
+
+const { describe, before, after, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startLocalChains, runScript } = require('./local-chains');
+
+// Ports after the ones of admin-decommission.test.js, which may run at the same time
+const PORT_OFFSET = 4;
+
+const PROFILES = ['testnet', 'staging'];
+
+describe('profiles sharing chain IDs', () => {
+  let local;
+  let source;
+  let dest;
+  
+  /**
+   * Environment to run the scripts of a profile with
+   * Each profile writes to the deployments directory and frontend config
+   * file it would use in the repository, moved to the scratch directory.
+   * 
+   * @param {string} profile - Profile name
+   * @returns {Object} Environment
+   */
+  const envFor = profile => {
+    const env = {
+      ...local.env,
+      NFT_PROFILE: profile,
+      DEPLOYMENTS_DIR: path.join(local.workDir, 'deployments', profile),
+      FRONTEND_CONFIG_DIR: path.join(local.workDir, 'frontend')
+    };
+    delete env.FRONTEND_CONFIG_PATH;
+    return env;
+  };
+  
+  /**
+   * Read the frontend config written for a profile
+   * 
+   * @param {string} fileName - File name in the frontend config directory
+   * @returns {Object} Deployments keyed by chain ID
+   */
+  const readFrontendConfig = fileName =>
+    JSON.parse(fs.readFileSync(path.join(local.workDir, 'frontend', fileName), 'utf8'));
+  
+  /**
+   * Read the MyNFT deployment of a network under a profile
+   * 
+   * @param {string} profile - Profile name
+   * @param {string} networkName - Network name
+   * @returns {Object} Parsed MyNFT.json
+   */
+  const readDeployment = (profile, networkName) =>
+    JSON.parse(fs.readFileSync(path.join(envFor(profile).DEPLOYMENTS_DIR, networkName, 'MyNFT.json'), 'utf8'));
+  
+  before(async () => {
+    local = await startLocalChains({ portOffset: PORT_OFFSET, profile: 'testnet' });
+    [source, dest] = local.chains;
+    
+    for (const profile of PROFILES) {
+      const result = await runScript('deploy.js', ['--no-mint'], envFor(profile));
+      assert.equal(result.code, 0, result.output);
+    }
+  });
+  
+  after(async () => {
+    if (local) {
+      await local.stop();
+    }
+  });
+  
+  test('each profile writes the frontend config file of its own', () => {
+    assert.deepEqual(fs.readdirSync(path.join(local.workDir, 'frontend')).sort(), ['deployments.json', 'deployments.staging.json']);
+    
+    const testnetConfig = readFrontendConfig('deployments.json');
+    const stagingConfig = readFrontendConfig('deployments.staging.json');
+    for (const chain of [source, dest]) {
+      assert.equal(testnetConfig[chain.chainId].address, readDeployment('testnet', chain.networkName).address);
+      assert.equal(stagingConfig[chain.chainId].address, readDeployment('staging', chain.networkName).address);
+      assert.notEqual(testnetConfig[chain.chainId].address, stagingConfig[chain.chainId].address);
+    }
+  });
+  
+  test('decommissioning a network under one profile leaves the other profile\'s entry', async () => {
+    const testnetBefore = readFrontendConfig('deployments.json');
+    
+    const result = await runScript('admin.js', ['decommission', dest.networkName, '--yes'], envFor('staging'));
+    assert.equal(result.code, 0, result.output);
+    
+    assert.deepEqual(Object.keys(readFrontendConfig('deployments.staging.json')), [String(source.chainId)]);
+    assert.deepEqual(readFrontendConfig('deployments.json'), testnetBefore);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests of the send retries in scripts/utils/transactions.js
+ * 
+ * Sends from a wallet on an in-process ganache chain whose RPC answers the
+ * broadcast with the errors nodes return, and checks what reaches the chain.
+ * 
+ *   npm run test:scripts
+ */
+
+const { describe, beforeEach, afterEach, test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ganache = require('ganache');
+const { ethers } = require('ethers');
+const { sendTransaction } = require('../../scripts/utils/transactions');
+
+// Well-known development mnemonic, never use it on a public network
+const MNEMONIC = 'test test test test test test test test test test test junk';
+
+const CHAIN_ID = 1337;
+
+// Network configuration with fees taken from the node
+const NETWORK = { name: 'local-1', chainId: CHAIN_ID };
+
+const RECIPIENT = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+
+describe('sendTransaction', () => {
+  let ganacheProvider;
+  let wallet;
+  let broadcasts;
+  let failNextBroadcast;
+  
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    
+    ganacheProvider = ganache.provider({
+      wallet: { mnemonic: MNEMONIC },
+      logging: { quiet: true },
+      chain: { chainId: CHAIN_ID }
+    });
+    broadcasts = [];
+    failNextBroadcast = null;
+    
+    // Records every signed transaction and lets a test decide how the node answers it
+    const rpc = {
+      request: async args => {
+        if (args.method !== 'eth_sendRawTransaction') {
+          return ganacheProvider.request(args);
+        }
+        
+        broadcasts.push(ethers.Transaction.from(args.params[0]));
+        const failure = failNextBroadcast;
+        failNextBroadcast = null;
+        if (!failure) {
+          return ganacheProvider.request(args);
+        }
+        if (failure.accepted) {
+          await ganacheProvider.request(args);
+        }
+        throw { code: -32000, message: failure.message };
+      }
+    };
+    
+    const provider = new ethers.BrowserProvider(rpc, CHAIN_ID, { cacheTimeout: -1 });
+    wallet = ethers.Wallet.fromPhrase(MNEMONIC).connect(provider);
+  });
+  
+  afterEach(async () => {
+    mock.restoreAll();
+    await ganacheProvider.disconnect();
+  });
+  
+  test('sends the transaction once', async () => {
+    const tx = await sendTransaction(wallet, NETWORK, { to: RECIPIENT, value: 1n });
+    
+    assert.equal((await tx.wait()).status, 1);
+    assert.equal(broadcasts.length, 1);
+    assert.equal(await wallet.provider.getTransactionCount(wallet.address), 1);
+  });
+  
+  test('waits for a transaction the node already has instead of sending it again', async () => {
+    // The node took the transaction but its answer was lost, so the node
+    // reports it as known
+    failNextBroadcast = { accepted: true, message: 'already known' };
+    const balance = await wallet.provider.getBalance(RECIPIENT);
+    
+    const tx = await sendTransaction(wallet, NETWORK, { to: RECIPIENT, value: 1n }, 'mint');
+    const receipt = await tx.wait();
+    
+    assert.equal(broadcasts.length, 1);
+    assert.equal(tx.hash, broadcasts[0].hash);
+    assert.equal(receipt.hash, broadcasts[0].hash);
+    assert.equal(await wallet.provider.getTransactionCount(wallet.address), 1);
+    assert.equal(await wallet.provider.getBalance(RECIPIENT), balance + 1n);
+  });
+  
+  test('retries an underpriced replacement at the same nonce with higher fees', async () => {
+    failNextBroadcast = { accepted: false, message: 'replacement transaction underpriced' };
+    
+    const tx = await sendTransaction(wallet, NETWORK, { to: RECIPIENT, value: 1n });
+    await tx.wait();
+    
+    assert.equal(broadcasts.length, 2);
+    assert.equal(broadcasts[1].nonce, broadcasts[0].nonce);
+    assert.ok(broadcasts[1].maxFeePerGas > broadcasts[0].maxFeePerGas);
+    assert.equal(tx.hash, broadcasts[1].hash);
+    assert.equal(await wallet.provider.getTransactionCount(wallet.address), 1);
+  });
+  
+  test('retries a used nonce at the next pending nonce', async () => {
+    // Another transaction of the account took the nonce first
+    failNextBroadcast = { accepted: false, message: 'nonce too low' };
+    
+    const tx = await sendTransaction(wallet, NETWORK, { to: RECIPIENT, value: 1n });
+    await tx.wait();
+    
+    assert.equal(broadcasts.length, 2);
+    assert.equal(tx.hash, broadcasts[1].hash);
+    assert.equal(await wallet.provider.getTransactionCount(wallet.address), 1);
+  });
+  
+  test('does not resend when the nonce was used by the attempt itself', async () => {
+    // The node mined the attempt but answered the broadcast with "nonce too low"
+    failNextBroadcast = { accepted: true, message: 'nonce too low' };
+    const balance = await wallet.provider.getBalance(RECIPIENT);
+    
+    const tx = await sendTransaction(wallet, NETWORK, { to: RECIPIENT, value: 1n });
+    await tx.wait();
+    
+    assert.equal(broadcasts.length, 1);
+    assert.equal(tx.hash, broadcasts[0].hash);
+    assert.equal(await wallet.provider.getTransactionCount(wallet.address), 1);
+    assert.equal(await wallet.provider.getBalance(RECIPIENT), balance + 1n);
+  });
+});